@@ -0,0 +1,169 @@
+// Direct source adapters. Some sources publish structured reputation data that
+// can be read more reliably than an LLM's summary of search results. Each adapter
+// produces the same { source, url, rating, summary } review shape, and its result
+// replaces any LLM review from the same source (see mergeAdapterReviews in sw.js).
+//
+// Adapters are keyed by registrable domain. Their base URL can be pointed at a
+// local fixture server (fixtures/serve.js) via chrome.storage.local
+// adapterBaseUrls, e.g.
+//   { "trustpilot.com": "http://localhost:8000" }
+
+const ADAPTER_TIMEOUT_MS = 10000;
+const WIKIDATA_BASE_URL = 'https://www.wikidata.org';
+const WIKIDATA_OFFICIAL_WEBSITE = 'P856';
+const WIKIPEDIA_SEARCH_LIMIT = 5;
+
+const SOURCE_ADAPTERS = {
+    'trustpilot.com': {
+        name: 'Trustpilot',
+        baseUrl: 'https://www.trustpilot.com',
+        requiresPermission: true, // Review pages aren't served with CORS headers
+        fetchReview: fetchTrustpilotReview
+    },
+    'wikipedia.org': {
+        name: 'Wikipedia',
+        baseUrl: 'https://en.wikipedia.org',
+        requiresPermission: false, // The REST API allows cross-origin requests
+        fetchReview: fetchWikipediaReview
+    }
+};
+
+function getSourceAdapter(domain) {
+    return SOURCE_ADAPTERS[getRegistrableDomain(domain)] || null;
+}
+
+function getAdapterOriginPattern(baseUrl) {
+    return `${new URL(baseUrl).origin}/*`;
+}
+
+async function fetchAdapterResource(url, asJson) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(ADAPTER_TIMEOUT_MS) });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        const err = new Error(`Adapter Error: ${response.status} ${response.statusText}`);
+        err.status = response.status;
+        throw err;
+    }
+    return asJson ? response.json() : response.text();
+}
+
+// Pulls the first schema.org AggregateRating out of a page's JSON-LD blocks
+function findJsonLdAggregateRating(html) {
+    const blocks = html.matchAll(/<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
+    for (const [, json] of blocks) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (e) {
+            continue;
+        }
+
+        const stack = [data];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!node || typeof node !== 'object') continue;
+            if (node['@type'] === 'AggregateRating' && node.ratingValue !== undefined) return node;
+            if (node.aggregateRating && node.aggregateRating.ratingValue !== undefined) return node.aggregateRating;
+            stack.push(...(Array.isArray(node) ? node : Object.values(node)));
+        }
+    }
+    return null;
+}
+
+async function fetchTrustpilotReview(hostname, baseUrl) {
+    const url = `${baseUrl}/review/${encodeURIComponent(hostname)}`;
+    const html = await fetchAdapterResource(url, false);
+    if (!html) return null;
+
+    const aggregate = findJsonLdAggregateRating(html);
+    if (!aggregate) return null;
+
+    // Only numbers go into the summary, whatever else the page's markup holds
+    const value = parseFloat(aggregate.ratingValue);
+    const best = parseFloat(aggregate.bestRating) > 0 ? parseFloat(aggregate.bestRating) : 5;
+    if (!isFinite(value) || value < 0 || value > best) return null;
+
+    const count = parseInt(aggregate.reviewCount || aggregate.ratingCount, 10);
+    return {
+        source: 'trustpilot.com',
+        url,
+        rating: Math.round((value / best) * 5 * 10) / 10,
+        summary: [count > 0 ? `TrustScore ${value}/${best} from ${count} reviews` : `TrustScore ${value}/${best}`]
+    };
+}
+
+// Whether a Wikidata item's official website is the site, which is what ties
+// an article to it (a title like "Amazon River" merely mentions "amazon")
+async function isOfficialWebsite(dataUrl, itemId, hostname) {
+    const data = await fetchAdapterResource(`${dataUrl}/w/api.php?action=wbgetclaims&format=json&origin=*` +
+        `&entity=${encodeURIComponent(itemId)}&property=${WIKIDATA_OFFICIAL_WEBSITE}`, true);
+    const claims = data?.claims?.[WIKIDATA_OFFICIAL_WEBSITE] || [];
+    return claims.some(claim => {
+        const website = claim.mainsnak?.datavalue?.value;
+        return typeof website === 'string' && isSameSite(website, hostname);
+    });
+}
+
+// Wikipedia has no ratings, so this contributes a summary only (rating: null,
+// which calculateRating ignores).
+async function fetchWikipediaReview(hostname, baseUrl) {
+    // A fixture server stands in for Wikidata as well
+    const dataUrl = baseUrl === SOURCE_ADAPTERS['wikipedia.org'].baseUrl ? WIKIDATA_BASE_URL : baseUrl;
+    const search = await fetchAdapterResource(`${baseUrl}/w/api.php?action=query&format=json&origin=*` +
+        `&generator=search&gsrsearch=${encodeURIComponent(hostname)}&gsrlimit=${WIKIPEDIA_SEARCH_LIMIT}` +
+        '&prop=pageprops&ppprop=wikibase_item', true);
+    const pages = Object.values(search?.query?.pages || {})
+        .filter(p => p.pageprops?.wikibase_item)
+        .sort((a, b) => a.index - b.index);
+
+    let page = null;
+    for (const candidate of pages) {
+        if (await isOfficialWebsite(dataUrl, candidate.pageprops.wikibase_item, hostname)) {
+            page = candidate;
+            break;
+        }
+    }
+    if (!page) return null;
+
+    const key = page.title.replace(/ /g, '_');
+    const summary = await fetchAdapterResource(`${baseUrl}/api/rest_v1/page/summary/${encodeURIComponent(key)}`, true);
+    if (!summary) return null;
+
+    // Plain strings only (the review table sets them as text), and only an
+    // http(s) link to the article
+    const text = value => typeof value === 'string' ? value.trim() : '';
+    const firstSentence = text(summary.extract).split(/(?<=\.)\s/)[0];
+    const pageUrl = text(summary.content_urls?.desktop?.page);
+    return {
+        source: 'wikipedia.org',
+        url: /^https?:\/\//i.test(pageUrl) ? pageUrl : `${baseUrl}/wiki/${encodeURIComponent(key)}`,
+        rating: null,
+        summary: [text(summary.description), firstSentence].filter(Boolean)
+    };
+}
+
+// Runs every adapter matching one of sourceDomains. Never throws: a failing
+// adapter just falls back to whatever the LLM found for that source.
+async function runSourceAdapters(hostname, sourceDomains) {
+    const { adapterBaseUrls } = await chrome.storage.local.get(['adapterBaseUrls']);
+    const keys = [...new Set(sourceDomains.map(getRegistrableDomain))].filter(key => SOURCE_ADAPTERS[key]);
+
+    const reviews = await Promise.all(keys.map(async key => {
+        const adapter = SOURCE_ADAPTERS[key];
+        const baseUrl = (adapterBaseUrls && adapterBaseUrls[key]) || adapter.baseUrl;
+        try {
+            if (adapter.requiresPermission &&
+                !(await chrome.permissions.contains({ origins: [getAdapterOriginPattern(baseUrl)] }))) {
+                console.log(`Skipping ${adapter.name} adapter: host permission not granted`);
+                return null;
+            }
+            const review = await adapter.fetchReview(hostname, baseUrl);
+            if (!review) return null;
+            return { ...review, matchingSource: true, verification: 'grounded', adapter: key };
+        } catch (e) {
+            console.error(`${adapter.name} Adapter Error`, e);
+            return null;
+        }
+    }));
+    return reviews.filter(Boolean);
+}
@@ -0,0 +1,103 @@
+// Reputation markers on outbound links, registered by syncLinkMarkerScript in
+// sw.js on search result pages (or every page) when annotateLinks is on.
+// Markers come from the cache. Sites that aren't cached yet are queued at low
+// priority and marked once their result lands in storage.
+
+const MAX_LINKS_PER_SCAN = 200;
+const RESCAN_DELAY_MS = 1000;
+const REDIRECT_PARAMS = ['q', 'url', 'uddg']; // Search engines' click-tracking links
+
+const linksByKey = new Map(); // site or subject key -> { url, anchors }
+let rescanTimer = null;
+
+// Where a link leads, looking through search engines' redirect links
+function getLinkTarget(anchor) {
+    let url;
+    try {
+        url = new URL(anchor.href);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    if (url.hostname !== location.hostname) return url.href;
+
+    for (const param of REDIRECT_PARAMS) {
+        const value = url.searchParams.get(param);
+        if (value && /^https?:\/\//.test(value)) return value;
+    }
+    return null;
+}
+
+function renderMarker(anchor, marker) {
+    let span = anchor.nextElementSibling;
+    if (!span || !span.classList.contains('sitevouch-marker')) {
+        span = document.createElement('span');
+        span.className = 'sitevouch-marker';
+        anchor.after(span);
+    }
+    span.textContent = marker.text;
+    span.style.backgroundColor = marker.color;
+    span.title = marker.summary;
+}
+
+function renderMarkers(keys) {
+    keys.forEach(key => {
+        const link = linksByKey.get(key);
+        if (!link || !link.marker) return;
+        link.anchors = link.anchors.filter(anchor => anchor.isConnected);
+        link.anchors.forEach(anchor => renderMarker(anchor, link.marker));
+    });
+}
+
+// Records the markers in a GET_LINK_MARKERS response and draws them
+function applyMarkers(response) {
+    if (!response) return;
+    Object.entries(response.markers).forEach(([key, marker]) => {
+        const link = linksByKey.get(key);
+        if (link) link.marker = marker;
+    });
+    renderMarkers(Object.keys(response.markers));
+}
+
+function requestMarkers(urls, queue) {
+    return chrome.runtime.sendMessage({ type: 'GET_LINK_MARKERS', urls, queue }).catch(() => null);
+}
+
+async function scanLinks() {
+    const anchorsByUrl = new Map();
+    for (const anchor of document.querySelectorAll('a[href]:not([data-sitevouch])')) {
+        if (anchorsByUrl.size >= MAX_LINKS_PER_SCAN) break;
+        anchor.dataset.sitevouch = '';
+        const url = getLinkTarget(anchor);
+        if (!url) continue;
+        if (!anchorsByUrl.has(url)) anchorsByUrl.set(url, []);
+        anchorsByUrl.get(url).push(anchor);
+    }
+    if (anchorsByUrl.size === 0) return;
+
+    const response = await requestMarkers([...anchorsByUrl.keys()], true);
+    if (!response) return;
+    Object.entries(response.keys).forEach(([url, key]) => {
+        if (!linksByKey.has(key)) linksByKey.set(key, { url, anchors: [], marker: null });
+        linksByKey.get(key).anchors.push(...anchorsByUrl.get(url));
+    });
+    applyMarkers(response);
+}
+
+function scheduleScan() {
+    clearTimeout(rescanTimer);
+    rescanTimer = setTimeout(scanLinks, RESCAN_DELAY_MS);
+}
+
+// Results for queued sites (or refreshes of marked ones) arrive as cache writes
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local') return;
+    const urls = Object.keys(changes)
+        .filter(key => key.startsWith('cache_') && linksByKey.has(key.slice('cache_'.length)))
+        .map(key => linksByKey.get(key.slice('cache_'.length)).url);
+    if (urls.length > 0) applyMarkers(await requestMarkers(urls, false));
+});
+
+// Search engines often load or replace results without a new page
+new MutationObserver(scheduleScan).observe(document.body, { childList: true, subtree: true });
+scanLinks();
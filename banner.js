@@ -0,0 +1,61 @@
+// In-page warning for disreputable sites. Injected by the service worker (see
+// showWarningBanners in sw.js) only when the option is on, so it may run more
+// than once per page: everything here is a function declaration, which unlike
+// const can safely be re-declared.
+
+function showSiteVouchWarning(warning) {
+    const existing = document.getElementById('sitevouch-warning');
+    if (existing) {
+        if (existing.dataset.hostname === warning.hostname) return;
+        existing.remove();
+    }
+
+    const banner = document.createElement('div');
+    banner.id = 'sitevouch-warning';
+    banner.dataset.hostname = warning.hostname;
+    banner.setAttribute('role', 'alert');
+
+    const text = document.createElement('div');
+    text.className = 'sitevouch-text';
+
+    const title = document.createElement('strong');
+    title.textContent = chrome.i18n.getMessage('bannerTitle', [warning.hostname, warning.rating.toFixed(1)]);
+    text.appendChild(title);
+
+    if (warning.reasons.length > 0) {
+        const list = document.createElement('ul');
+        warning.reasons.forEach(reason => {
+            const li = document.createElement('li');
+            li.textContent = `${reason.source}: ${reason.summary}`;
+            list.appendChild(li);
+        });
+        text.appendChild(list);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'sitevouch-actions';
+
+    const detailsBtn = document.createElement('button');
+    detailsBtn.textContent = chrome.i18n.getMessage('bannerDetails');
+    detailsBtn.onclick = () => chrome.runtime.sendMessage({ type: 'OPEN_POPUP' });
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.textContent = chrome.i18n.getMessage('bannerDismiss');
+    dismissBtn.title = chrome.i18n.getMessage('bannerDismissTitle', warning.hostname);
+    dismissBtn.onclick = () => {
+        banner.remove();
+        chrome.runtime.sendMessage({ type: 'DISMISS_WARNING', hostname: warning.hostname });
+    };
+
+    actions.appendChild(detailsBtn);
+    actions.appendChild(dismissBtn);
+    banner.appendChild(text);
+    banner.appendChild(actions);
+    document.documentElement.appendChild(banner);
+}
+
+// The page moved on to something else without reloading (see removeWarningBanner in sw.js)
+function hideSiteVouchWarning() {
+    const existing = document.getElementById('sitevouch-warning');
+    if (existing) existing.remove();
+}
@@ -0,0 +1,245 @@
+// Cache browser. Entries come from the service worker (see getAllFromCache in
+// sw.js) so staleness is judged exactly as it is when browsing.
+const searchInput = document.getElementById('search');
+const cacheSummary = document.getElementById('cache-summary');
+const cacheRows = document.getElementById('cache-rows');
+const emptyMessage = document.getElementById('empty-message');
+const exportJsonBtn = document.getElementById('export-json-btn');
+const exportCsvBtn = document.getElementById('export-csv-btn');
+const sortHeaders = document.querySelectorAll('.cache-table th[data-sort]');
+
+let entries = [];
+let pendingHosts = new Set(); // Queued or being queried
+let settings = {};
+let weighting = null;
+let sortKey = 'timestamp';
+let sortDescending = true;
+
+function summarizeEntry(entry) {
+    const reviews = getScoredReviews(entry, settings.countOpenWebInBadge === true);
+    const rating = calculateRating(reviews, weighting);
+    const disagreement = calculateDisagreement(reviews, settings.contestedSpread, weighting);
+    return {
+        hostname: entry.hostname,
+        rating,
+        contested: !!(disagreement && disagreement.contested),
+        sourceCount: (entry.reviews || []).filter(r => r.matchingSource !== false).length,
+        timestamp: entry.timestamp,
+        isStale: entry.isStale,
+        pending: pendingHosts.has(entry.hostname)
+    };
+}
+
+function getStatusText(summary) {
+    if (summary.pending) return getMessage('cacheStatusRefreshing');
+    return getMessage(summary.isStale ? 'cacheStatusStale' : 'cacheStatusFresh');
+}
+
+function formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 60) return getMessage('ageMinutes', String(minutes));
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return getMessage('ageHours', String(hours));
+    return getMessage('ageDays', String(Math.floor(hours / 24)));
+}
+
+function getRatingClass(summary) {
+    if (summary.rating === null) return 'none';
+    if (summary.contested) return 'contested';
+    const posThresh = settings.positiveThreshold !== undefined ? settings.positiveThreshold : 4.0;
+    const negThresh = settings.negativeThreshold !== undefined ? settings.negativeThreshold : 2.5;
+    if (summary.rating >= posThresh) return 'positive';
+    if (summary.rating <= negThresh) return 'negative';
+    return 'mixed';
+}
+
+function compareSummaries(a, b) {
+    let valueA, valueB;
+    if (sortKey === 'status') {
+        valueA = getStatusText(a);
+        valueB = getStatusText(b);
+    } else {
+        valueA = a[sortKey];
+        valueB = b[sortKey];
+    }
+
+    // Unrated sites sort after rated ones in either direction
+    if (valueA === null && valueB === null) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+
+    const result = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+    return sortDescending ? -result : result;
+}
+
+function getVisibleSummaries() {
+    const query = searchInput.value.trim().toLowerCase();
+    return entries
+        .filter(e => !query || e.hostname.includes(query))
+        .map(summarizeEntry)
+        .sort(compareSummaries);
+}
+
+function renderTable() {
+    const summaries = getVisibleSummaries();
+    cacheRows.innerHTML = '';
+
+    summaries.forEach(summary => {
+        const tr = document.createElement('tr');
+
+        const siteTd = document.createElement('td');
+        siteTd.textContent = summary.hostname;
+
+        const ratingTd = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `rating-badge ${getRatingClass(summary)}`;
+        badge.textContent = summary.rating === null ? getMessage('notAvailable') : summary.rating.toFixed(1);
+        if (summary.contested) badge.title = getMessage('cacheContested');
+        ratingTd.appendChild(badge);
+
+        const sourcesTd = document.createElement('td');
+        sourcesTd.textContent = summary.sourceCount;
+
+        const ageTd = document.createElement('td');
+        ageTd.textContent = formatAge(summary.timestamp);
+        ageTd.title = new Date(summary.timestamp).toLocaleString();
+
+        const statusTd = document.createElement('td');
+        statusTd.textContent = getStatusText(summary);
+        if (summary.pending) {
+            statusTd.className = 'status-pending';
+        } else if (summary.isStale) {
+            statusTd.className = 'status-stale';
+        }
+
+        const actionsTd = document.createElement('td');
+        actionsTd.className = 'actions';
+
+        const refreshBtn = document.createElement('button');
+        refreshBtn.className = 'small';
+        refreshBtn.textContent = getMessage('cacheRefresh');
+        refreshBtn.disabled = summary.pending;
+        refreshBtn.onclick = () => refreshEntry(summary.hostname);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'small remove';
+        deleteBtn.textContent = getMessage('cacheDelete');
+        deleteBtn.onclick = () => deleteEntry(summary.hostname);
+
+        actionsTd.appendChild(refreshBtn);
+        actionsTd.appendChild(deleteBtn);
+
+        [siteTd, ratingTd, sourcesTd, ageTd, statusTd, actionsTd].forEach(td => tr.appendChild(td));
+        cacheRows.appendChild(tr);
+    });
+
+    const staleCount = entries.filter(e => e.isStale).length;
+    cacheSummary.textContent = summaries.length === entries.length
+        ? getMessage('cacheSummary', [String(entries.length), String(staleCount)])
+        : getMessage('cacheSummaryFiltered', [String(summaries.length), String(entries.length)]);
+    emptyMessage.hidden = entries.length > 0;
+
+    sortHeaders.forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sort === sortKey && !sortDescending);
+        th.classList.toggle('sorted-desc', th.dataset.sort === sortKey && sortDescending);
+    });
+}
+
+async function loadEntries() {
+    const data = await chrome.storage.sync.get(['sources', 'separateSubdomainSites', 'positiveThreshold', 'negativeThreshold', 'contestedSpread', 'countOpenWebInBadge']);
+    settings = data;
+    weighting = { sources: data.sources || [], separateSubdomainSites: data.separateSubdomainSites };
+
+    const response = await chrome.runtime.sendMessage({ type: 'GET_CACHE_ENTRIES' });
+    entries = (response && response.entries) || [];
+    renderTable();
+}
+
+function updatePending(status) {
+    pendingHosts = new Set([...(status.queue || []), ...(status.activeTasks || [])].map(item => item.hostname));
+    renderTable();
+}
+
+// Goes through the same path as the popup's refresh button
+function refreshEntry(hostname) {
+    pendingHosts.add(hostname);
+    renderTable();
+    chrome.runtime.sendMessage({ type: 'REFRESH', hostname });
+}
+
+async function deleteEntry(hostname) {
+    await chrome.runtime.sendMessage({ type: 'DELETE_CACHE_ENTRY', hostname });
+    entries = entries.filter(e => e.hostname !== hostname);
+    renderTable();
+}
+
+function downloadFile(contents, type, filename) {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function toCsvField(value) {
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Full entries, including every review and the grounding metadata
+function exportJson() {
+    downloadFile(JSON.stringify(entries, null, 2), 'application/json', 'sitevouch-cache.json');
+}
+
+// One row per site, using the same figures as the table
+function exportCsv() {
+    const header = ['site', 'rating', 'contested', 'sources', 'cached_at', 'stale'];
+    const rows = entries.map(summarizeEntry).map(s => [
+        s.hostname,
+        s.rating === null ? '' : s.rating.toFixed(2),
+        s.contested,
+        s.sourceCount,
+        new Date(s.timestamp).toISOString(),
+        s.isStale
+    ]);
+    const csv = [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\n');
+    downloadFile(csv, 'text/csv', 'sitevouch-cache.csv');
+}
+
+sortHeaders.forEach(th => {
+    th.addEventListener('click', () => {
+        if (sortKey === th.dataset.sort) {
+            sortDescending = !sortDescending;
+        } else {
+            sortKey = th.dataset.sort;
+            sortDescending = sortKey !== 'hostname';
+        }
+        renderTable();
+    });
+});
+
+searchInput.addEventListener('input', renderTable);
+exportJsonBtn.addEventListener('click', exportJson);
+exportCsvBtn.addEventListener('click', exportCsv);
+
+chrome.runtime.onMessage.addListener((request) => {
+    if (request.type === 'STATUS_UPDATE') updatePending(request);
+});
+
+// Results land in storage.local as queries finish. Settings changes can make
+// entries stale or change how they're scored.
+const RELEVANT_SETTINGS = ['sources', 'separateSubdomainSites', 'positiveThreshold', 'negativeThreshold', 'contestedSpread', 'countOpenWebInBadge', 'lastSettingsChange'];
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    const keys = Object.keys(changes);
+    const cacheChanged = areaName === 'local' && keys.some(key => key.startsWith('cache_'));
+    const settingsChanged = areaName === 'sync' && keys.some(key => RELEVANT_SETTINGS.includes(key));
+    if (cacheChanged || settingsChanged) loadEntries();
+});
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadEntries();
+    chrome.runtime.sendMessage({ type: 'GET_STATUS' }, (status) => {
+        if (status) updatePending(status);
+    });
+});
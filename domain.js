@@ -0,0 +1,86 @@
+// Registrable domain helpers, shared by the service worker (importScripts) and
+// extension pages (<script>). Requires public_suffix_list.js to be loaded first.
+
+const PUBLIC_SUFFIXES = parsePublicSuffixRules(PUBLIC_SUFFIX_RULES);
+
+function parsePublicSuffixRules(text) {
+    const suffixes = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+    text.split(/\s+/).forEach(rule => {
+        if (!rule) return;
+        if (rule.startsWith('!')) {
+            suffixes.exceptions.add(rule.slice(1));
+        } else if (rule.startsWith('*.')) {
+            suffixes.wildcards.add(rule.slice(2));
+        } else {
+            suffixes.rules.add(rule);
+        }
+    });
+    return suffixes;
+}
+
+// Accepts a hostname, bare domain or URL ("https://www.Example.com/path") and
+// returns the lower-case hostname, or null.
+function normalizeHostname(value) {
+    if (!value) return null;
+    let s = value.trim().toLowerCase();
+    s = s.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+    s = s.replace(/[/?#].*$/, '');
+    s = s.replace(/:\d+$/, '');
+    s = s.replace(/\.$/, '');
+    return s || null;
+}
+
+function isIpAddress(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[') || hostname.includes(':');
+}
+
+function getPublicSuffix(hostname) {
+    const labels = hostname.split('.');
+    // Walk from the longest candidate down so the longest matching rule wins
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (PUBLIC_SUFFIXES.exceptions.has(candidate)) {
+            return labels.slice(i + 1).join('.');
+        }
+        if (PUBLIC_SUFFIXES.rules.has(candidate)) {
+            return candidate;
+        }
+        if (i + 1 < labels.length && PUBLIC_SUFFIXES.wildcards.has(labels.slice(i + 1).join('.'))) {
+            return candidate;
+        }
+    }
+    // Implicit "*" rule: unknown TLDs are public suffixes
+    return labels[labels.length - 1];
+}
+
+// The "eTLD+1", e.g. shop.example.co.uk -> example.co.uk, user.github.io -> user.github.io.
+// IP addresses, single-label hosts and bare public suffixes are returned unchanged.
+function getRegistrableDomain(value) {
+    const hostname = normalizeHostname(value);
+    if (!hostname || isIpAddress(hostname) || !hostname.includes('.')) return hostname;
+
+    const suffix = getPublicSuffix(hostname);
+    if (hostname === suffix) return hostname;
+
+    const label = hostname.slice(0, hostname.length - suffix.length - 1).split('.').pop();
+    return `${label}.${suffix}`;
+}
+
+// The key a host is cached, queried and matched under. Normally its registrable
+// domain, unless the user chose to keep subdomains of that domain apart
+// (separateSubdomainSites in storage.sync).
+function getSiteKey(value, separateSubdomainSites) {
+    const hostname = normalizeHostname(value);
+    if (!hostname) return null;
+
+    const domain = getRegistrableDomain(hostname);
+    if (separateSubdomainSites && separateSubdomainSites.includes(domain)) {
+        return hostname.replace(/^www\./, '');
+    }
+    return domain;
+}
+
+function isSameSite(a, b, separateSubdomainSites) {
+    const keyA = getSiteKey(a, separateSubdomainSites);
+    return !!keyA && keyA === getSiteKey(b, separateSubdomainSites);
+}
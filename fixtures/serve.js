@@ -0,0 +1,51 @@
+// Local fixture server for the direct source adapters (see adapters.js). Serves
+// the files in this directory at the paths the real sites use:
+//   node fixtures/serve.js [port]
+// then, in the service worker console:
+//   chrome.storage.local.set({ adapterBaseUrls: { 'trustpilot.com': 'http://localhost:8000', 'wikipedia.org': 'http://localhost:8000' } })
+// and look up example.com (rated), example.org (no Trustpilot page) or
+// example.net (only an unrelated Wikipedia article).
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8000;
+
+// The fixture file for a request, or null for a 404
+function getFixturePath(url) {
+    const review = url.pathname.match(/^\/review\/([^/]+)$/);
+    if (review) return path.join('trustpilot', `${review[1]}.html`);
+
+    const summary = url.pathname.match(/^\/api\/rest_v1\/page\/summary\/([^/]+)$/);
+    if (summary) return path.join('wikipedia', 'summary', `${decodeURIComponent(summary[1])}.json`);
+
+    if (url.pathname === '/w/api.php') {
+        const action = url.searchParams.get('action');
+        if (action === 'query') return path.join('wikipedia', 'search', `${url.searchParams.get('gsrsearch')}.json`);
+        if (action === 'wbgetclaims') return path.join('wikidata', `${url.searchParams.get('entity')}.json`);
+    }
+    return null;
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const fixture = getFixturePath(url);
+    const file = fixture && path.join(__dirname, path.normalize(fixture));
+
+    // Wikipedia's APIs allow cross-origin requests, and so does this
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    if (!file || !file.startsWith(__dirname + path.sep) || !fs.existsSync(file)) {
+        console.log(`404 ${request.url}`);
+        response.writeHead(404);
+        response.end();
+        return;
+    }
+
+    console.log(`200 ${request.url}`);
+    response.writeHead(200, { 'Content-Type': file.endsWith('.json') ? 'application/json' : 'text/html' });
+    fs.createReadStream(file).pipe(response);
+});
+
+const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+server.listen(port, () => console.log(`Adapter fixtures on http://localhost:${port}`));
@@ -0,0 +1,29 @@
+// UI strings from _locales/<language>/messages.json, shared by the extension
+// pages. Elements name their message in data-i18n (text), data-i18n-title or
+// data-i18n-placeholder; the English text in the HTML is kept as a fallback.
+
+// A message with its $1...$9 substitutions filled in, or the name if missing
+function getMessage(name, substitutions) {
+    return chrome.i18n.getMessage(name, substitutions) || name;
+}
+
+// Labels for a reputation source's state ('off', 'auto' or 'on')
+const SOURCE_STATE_MESSAGES = { off: 'sourceStateOff', auto: 'sourceStateAuto', on: 'sourceStateOn' };
+
+// Labels for the reasons a review can be flagged (see flagReview in sw.js)
+const REVIEW_FLAG_MESSAGES = { 'wrong': 'flagWrong', 'outdated': 'flagOutdated', 'other-site': 'flagOtherSite', 'broken-link': 'flagBrokenLink' };
+
+function localizePage(root = document) {
+    const localize = (attribute, apply) => {
+        root.querySelectorAll(`[data-${attribute}]`).forEach(el => {
+            const message = chrome.i18n.getMessage(el.getAttribute(`data-${attribute}`));
+            if (message) apply(el, message);
+        });
+    };
+    localize('i18n', (el, message) => { el.textContent = message; });
+    localize('i18n-title', (el, message) => { el.title = message; });
+    localize('i18n-placeholder', (el, message) => { el.placeholder = message; });
+    document.documentElement.lang = chrome.i18n.getUILanguage();
+}
+
+localizePage();
@@ -0,0 +1,35 @@
+// Pages whose links get reputation markers (see annotate.js), shared by the
+// service worker, which registers the content script, and the options page,
+// which asks for host permission on them.
+//
+// annotateLinks in storage.sync is 'off' (default), 'search' or 'all'.
+
+const LINK_MARKER_SCRIPT_ID = 'link-markers';
+
+// Only the main search domains: other Google country sites need "all pages"
+const SEARCH_RESULT_PAGES = [
+    'https://www.google.com/search*',
+    'https://www.google.co.uk/search*',
+    'https://www.google.ca/search*',
+    'https://www.google.com.au/search*',
+    'https://www.google.de/search*',
+    'https://www.google.fr/search*',
+    'https://www.bing.com/search*',
+    'https://duckduckgo.com/*',
+    'https://search.brave.com/search*',
+    'https://search.yahoo.com/search*',
+    'https://www.ecosia.org/search*',
+    'https://kagi.com/search*'
+];
+const ALL_PAGES = ['https://*/*', 'http://*/*'];
+
+function getLinkMarkerMatches(mode) {
+    if (mode === 'search') return SEARCH_RESULT_PAGES;
+    if (mode === 'all') return ALL_PAGES;
+    return [];
+}
+
+// Host permissions are per origin, so drop the paths
+function getLinkMarkerOrigins(mode) {
+    return [...new Set(getLinkMarkerMatches(mode).map(pattern => pattern.replace(/^([^:]+:\/\/[^/]+)\/.*$/, '$1/*')))];
+}
@@ -0,0 +1,119 @@
+// Result view for a site that isn't open in the current tab, e.g. one checked
+// from the context menu or the "vouch" omnibox keyword (see lookupUrl in
+// sw.js). The site or subject key comes from the ?host= parameter.
+document.addEventListener('DOMContentLoaded', async () => {
+    const params = new URLSearchParams(location.search);
+    const hostname = params.get('host');
+    const incognito = params.get('incognito') === '1'; // Keeps the incognito privacy policy
+    const hostSpan = document.getElementById('site-hostname');
+    const refreshBtn = document.getElementById('refresh-btn');
+    const statusDiv = document.getElementById('lookup-status');
+    const resultDiv = document.getElementById('gemini-result');
+    const queueDiv = document.getElementById('queue-status');
+    const sourcesDiv = document.getElementById('sources-container');
+    const trendDiv = document.getElementById('trend-container');
+    const openWebElements = {
+        container: document.getElementById('open-web-container'),
+        summary: document.getElementById('open-web-summary'),
+        list: document.getElementById('open-web-list')
+    };
+
+    if (!hostname) {
+        hostSpan.textContent = getMessage('noSite');
+        refreshBtn.disabled = true;
+        return;
+    }
+    hostSpan.textContent = hostname;
+    document.title = `SiteVouch: ${hostname}`;
+
+    const { sources, separateSubdomainSites, contestedSpread, countOpenWebInBadge } =
+        await chrome.storage.sync.get(['sources', 'separateSubdomainSites', 'contestedSpread', 'countOpenWebInBadge']);
+    let weighting = { sources: sources || [], separateSubdomainSites };
+
+    function trustSource(review) {
+        chrome.runtime.sendMessage({ type: 'TRUST_SOURCE', hostname, source: review.source }, () => {
+            if (chrome.runtime.lastError) return;
+            refreshStatus();
+        });
+    }
+
+    function flagReview(review, reason) {
+        chrome.runtime.sendMessage({ type: 'FLAG_REVIEW', hostname, source: review.source, reason }, () => {
+            if (chrome.runtime.lastError) return;
+            refreshStatus();
+        });
+    }
+
+    let countdownInterval = null;
+
+    function renderStatus(status) {
+        // Re-render every second while any task is counting down to a retry
+        clearInterval(countdownInterval);
+        const activeTasks = status.activeTasks || [];
+        if (activeTasks.some(t => t.nextRetryTime > Date.now())) {
+            countdownInterval = setInterval(() => renderQueue(queueDiv, status), 1000);
+        }
+        renderQueue(queueDiv, status);
+
+        const pending = activeTasks.concat(status.queue || []).some(t => t.hostname === hostname);
+        const result = status.currentResult;
+
+        if (result) {
+            const checked = new Date(result.timestamp).toLocaleString();
+            statusDiv.textContent = getMessage(result.isStale ? 'checkedStale' : 'checked', checked);
+            renderReviewTable(resultDiv, result.reviews, getScoredReviews(result, countOpenWebInBadge === true), weighting, contestedSpread, flagReview);
+            renderOpenWeb(openWebElements, result.openWebReviews, countOpenWebInBadge, trustSource);
+            renderSources(sourcesDiv, result.groundingMetadata);
+            renderTrend(trendDiv, status.history, result.ratingChange);
+        } else {
+            if (pending) {
+                statusDiv.textContent = getMessage('checking');
+            } else if (status.queryBlock) {
+                statusDiv.textContent = getMessage('siteNotChecked', status.queryBlock);
+            } else {
+                statusDiv.textContent = getMessage('noResult');
+            }
+            resultDiv.textContent = '';
+            renderOpenWeb(openWebElements, null);
+            renderSources(sourcesDiv, null);
+            renderTrend(trendDiv, null, null);
+        }
+
+        refreshBtn.classList.toggle('spinning', pending);
+        refreshBtn.disabled = pending || !!status.queryBlock;
+    }
+
+    // Opening the page counts as asking for the site, like opening the popup
+    function refreshStatus(popupOpened = false) {
+        chrome.runtime.sendMessage({ type: 'GET_STATUS', hostname, incognito, popupOpened }, (response) => {
+            if (chrome.runtime.lastError) return;
+            if (response) renderStatus(response);
+        });
+    }
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync' || !changes.sources) return;
+        weighting = { sources: changes.sources.newValue || [], separateSubdomainSites };
+        refreshStatus();
+    });
+
+    chrome.runtime.onMessage.addListener((request) => {
+        if (request.type === 'STATUS_UPDATE') refreshStatus();
+    });
+
+    refreshBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'REFRESH', hostname, incognito }, (response) => {
+            if (chrome.runtime.lastError) {
+                statusDiv.textContent = getMessage('errorMessage', chrome.runtime.lastError.message);
+                return;
+            }
+            if (response && response.error) {
+                statusDiv.textContent = getMessage('errorMessage', response.error);
+            } else if (response && response.reason) {
+                statusDiv.textContent = getMessage('siteNotChecked', response.reason);
+            }
+        });
+    });
+
+    refreshStatus(true);
+});
@@ -5,12 +5,92 @@ const apiKeyInput = document.getElementById('apiKey');
 const modelSelect = document.getElementById('modelSelect');
 const maxBulletsInput = document.getElementById('maxBullets');
 const maxWordsInput = document.getElementById('maxWords');
+const summaryLanguageSelect = document.getElementById('summaryLanguage');
 const positiveThresholdInput = document.getElementById('positiveThreshold');
 const negativeThresholdInput = document.getElementById('negativeThreshold');
+const contestedSpreadInput = document.getElementById('contestedSpread');
+const sharpChangeThresholdInput = document.getElementById('sharpChangeThreshold');
 const maxProvidersInput = document.getElementById('maxProviders');
+const maxConcurrentQueriesInput = document.getElementById('maxConcurrentQueries');
+const requestsPerMinuteInput = document.getElementById('requestsPerMinute');
+const monthlyBudgetInput = document.getElementById('monthlyBudget');
+const usageSummary = document.getElementById('usage-summary');
+const usageRows = document.getElementById('usage-rows');
+const backendSelect = document.getElementById('backendSelect');
+const geminiBackendSettings = document.getElementById('gemini-backend-settings');
+const customBackendSettings = document.getElementById('custom-backend-settings');
+const backendEndpointInput = document.getElementById('backendEndpoint');
+const backendApiKeyInput = document.getElementById('backendApiKey');
+const backendModelInput = document.getElementById('backendModel');
+const grantEndpointBtn = document.getElementById('grantEndpointBtn');
+const endpointAccessStatus = document.getElementById('endpointAccessStatus');
+const exportBtn = document.getElementById('export-btn');
+const importBtn = document.getElementById('import-btn');
+const importFileInput = document.getElementById('import-file');
+const importStatus = document.getElementById('import-status');
+const subscriptionUrlInput = document.getElementById('subscription-url');
+const subscribeBtn = document.getElementById('subscribe-btn');
+const subscriptionsList = document.getElementById('subscriptions-list');
+const refreshSubscriptionsBtn = document.getElementById('refresh-subscriptions-btn');
+const subscriptionStatus = document.getElementById('subscription-status');
+const queryModeSelect = document.getElementById('queryMode');
+const incognitoPolicySelect = document.getElementById('incognitoPolicy');
+const skipPrivateHostsCheck = document.getElementById('skipPrivateHosts');
+const denyPatternsInput = document.getElementById('denyPatterns');
+const allowPatternsInput = document.getElementById('allowPatterns');
+const useOpenWebCheck = document.getElementById('useOpenWeb');
+const countOpenWebCheck = document.getElementById('countOpenWebInBadge');
+const countOpenWebOption = document.getElementById('countOpenWebOption');
+const showWarningBannerCheck = document.getElementById('showWarningBanner');
+const dismissedWarningsDiv = document.getElementById('dismissed-warnings');
+const dismissedWarningsCount = document.getElementById('dismissed-warnings-count');
+const resetDismissalsBtn = document.getElementById('reset-dismissals-btn');
+const annotateLinksSelect = document.getElementById('annotateLinks');
+const notifyBadSitesCheck = document.getElementById('notifyBadSites');
+const quietHoursStartInput = document.getElementById('quietHoursStart');
+const quietHoursEndInput = document.getElementById('quietHoursEnd');
+const mutedNotificationHostsInput = document.getElementById('mutedNotificationHosts');
+
+// Keep in sync with BACKENDS in sw.js
+const BACKEND_DEFAULTS = {
+    openai: { endpoint: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+    local: { endpoint: 'http://localhost:11434', model: 'llama3.1' }
+};
+
+// Offered for summaryLanguage, besides the browser language (see getSummaryLanguage in sw.js)
+const SUMMARY_LANGUAGES = ['ar', 'de', 'en', 'es', 'fr', 'hi', 'id', 'it', 'ja', 'ko', 'nl', 'pl', 'pt', 'ru', 'sv', 'tr', 'uk', 'vi', 'zh'];
+
+const isBoolean = value => typeof value === 'boolean';
+const isNumberIn = (min, max) => value => typeof value === 'number' && value >= min && value <= max;
+const isIntegerIn = (min, max) => value => Number.isInteger(value) && value >= min && value <= max;
+
+// Settings included in exports, each with the check an imported value has to
+// pass (the limits of its input below). Files get shared, e.g. as a team's
+// list, so API keys, the backend and the privacy settings are left out: a
+// file mustn't be able to send the sites you visit, or your key, elsewhere.
+const EXPORTED_SETTINGS = {
+    preferredModel: value => [...modelSelect.options].some(option => option.value === value),
+    maxBullets: isIntegerIn(1, 10),
+    maxWords: isIntegerIn(1, 50),
+    positiveThreshold: isNumberIn(0, 5),
+    negativeThreshold: isNumberIn(0, 5),
+    contestedSpread: isNumberIn(0.5, 5),
+    sharpChangeThreshold: isNumberIn(0.5, 5),
+    maxProviders: isIntegerIn(1, 100),
+    autoAddSources: isBoolean,
+    maxConcurrentQueries: isIntegerIn(1, 10),
+    requestsPerMinute: isIntegerIn(1, 120),
+    monthlyBudget: isNumberIn(0, Infinity),
+    separateSubdomainSites: value => Array.isArray(value) &&
+        value.every(domain => typeof domain === 'string' && normalizeHostname(domain) === domain),
+    useOpenWeb: isBoolean,
+    countOpenWebInBadge: isBoolean
+};
 
 // Global state to maintain order between updates
 let displayedSources = [];
+let reviewFlagCounts = new Map(); // Site key of a source -> { reason: count }
+let subscribedSources = {}; // Source domain -> subscription URLs (see attachSubscriptions)
 let currentMaxProviders = 20;
 
 // Helper to migrate legacy string[] to object[]
@@ -90,7 +170,7 @@ function renderList() {
         // Label for current state
         const stateLabel = document.createElement('span');
         stateLabel.className = 'state-label';
-        stateLabel.textContent = source.state.toUpperCase();
+        stateLabel.textContent = getMessage(SOURCE_STATE_MESSAGES[source.state]).toLocaleUpperCase();
 
         toggleContainer.appendChild(slider);
         toggleContainer.appendChild(stateLabel);
@@ -100,35 +180,386 @@ function renderList() {
         domainSpan.className = 'domain-name';
         domainSpan.textContent = source.domain;
 
+        // Trust Weight (see calculateRating in rating.js)
+        const weightInput = document.createElement('input');
+        weightInput.type = 'number';
+        weightInput.className = 'weight-input';
+        weightInput.min = 0;
+        weightInput.max = 10;
+        weightInput.step = 0.5;
+        weightInput.value = source.weight !== undefined ? source.weight : 1;
+        weightInput.title = getMessage('sourceWeightTitle');
+        weightInput.onchange = () => {
+            const val = parseFloat(weightInput.value);
+            if (!isNaN(val) && val >= 0) updateSourceWeight(source.domain, val);
+        };
+
         // Visit Counter
         const visitsSpan = document.createElement('span');
         visitsSpan.className = 'visit-count';
-        visitsSpan.textContent = `${source.visits || 0} visits`;
+        visitsSpan.textContent = getMessage('sourceVisits', String(source.visits || 0));
+
+        // Direct adapter (see adapters.js), which may need host access
+        const adapter = getSourceAdapter(source.domain);
+        const adapterSpan = document.createElement('span');
+        if (adapter) {
+            adapterSpan.className = 'adapter-badge';
+            adapterSpan.textContent = getMessage('sourceDirect');
+            adapterSpan.title = getMessage('sourceDirectTitle', adapter.name);
+            if (adapter.requiresPermission) {
+                renderAdapterPermission(adapter, adapterSpan);
+            }
+        }
+
+        // Subscribed lists this source comes from
+        const subscriptionSpan = document.createElement('span');
+        const subscriptions = subscribedSources[source.domain] || source.subscriptions;
+        if (subscriptions && subscriptions.length > 0) {
+            subscriptionSpan.className = 'subscription-badge';
+            subscriptionSpan.textContent = getMessage('sourceList');
+            subscriptionSpan.title = getMessage('sourceListTitle', subscriptions.join(', '));
+        }
+
+        // Reviews flagged from this source on any site (see flagReview in sw.js)
+        const flagSpan = document.createElement('span');
+        const flagReasons = reviewFlagCounts.get(getSiteKey(source.domain) || source.domain);
+        if (flagReasons) {
+            const total = Object.values(flagReasons).reduce((acc, count) => acc + count, 0);
+            flagSpan.className = 'flag-badge';
+            flagSpan.textContent = getMessage('sourceFlags', String(total));
+            flagSpan.title = Object.entries(flagReasons)
+                .map(([reason, count]) => `${getMessage(REVIEW_FLAG_MESSAGES[reason])}: ${count}`).join(', ');
+        }
 
         // Remove Button
         const removeBtn = document.createElement('button');
-        removeBtn.textContent = 'Remove';
+        removeBtn.textContent = getMessage('sourceRemove');
         removeBtn.className = 'remove';
         removeBtn.onclick = () => removeSource(source.domain);
 
         li.appendChild(toggleContainer);
         li.appendChild(domainSpan);
+        li.appendChild(subscriptionSpan);
+        li.appendChild(adapterSpan);
+        li.appendChild(flagSpan);
+        li.appendChild(weightInput);
         li.appendChild(visitsSpan);
         li.appendChild(removeBtn);
         list.appendChild(li);
     });
 }
 
+// Flags are stored per site, so add them up per source for the list
+async function loadReviewFlagCounts() {
+    const { reviewFlags } = await chrome.storage.local.get(['reviewFlags']);
+    const counts = new Map();
+    Object.values(reviewFlags || {}).forEach(flags => {
+        Object.entries(flags).forEach(([source, flag]) => {
+            const key = getSiteKey(source) || source;
+            if (!counts.has(key)) counts.set(key, {});
+            counts.get(key)[flag.reason] = (counts.get(key)[flag.reason] || 0) + 1;
+        });
+    });
+    reviewFlagCounts = counts;
+    renderList();
+}
+
+async function loadSubscribedSources() {
+    const data = await chrome.storage.local.get(['subscribedSources']);
+    subscribedSources = data.subscribedSources || {};
+    renderList();
+}
+
+function getEndpointOrigin() {
+    const backend = backendSelect.value;
+    const endpoint = backendEndpointInput.value.trim() || BACKEND_DEFAULTS[backend]?.endpoint;
+    try {
+        return new URL(endpoint).origin + '/*';
+    } catch (e) {
+        return null;
+    }
+}
+
+async function updateEndpointAccessStatus() {
+    const origin = getEndpointOrigin();
+    if (!origin) {
+        endpointAccessStatus.textContent = getMessage('endpointInvalid');
+        grantEndpointBtn.style.display = 'none';
+        return;
+    }
+    const granted = await chrome.permissions.contains({ origins: [origin] });
+    endpointAccessStatus.textContent = getMessage(granted ? 'endpointGranted' : 'endpointNeedsPermission');
+    grantEndpointBtn.style.display = granted ? 'none' : '';
+}
+
+function renderBackendSettings() {
+    const backend = backendSelect.value;
+    const isGemini = backend === 'gemini';
+    geminiBackendSettings.style.display = isGemini ? '' : 'none';
+    customBackendSettings.style.display = isGemini ? 'none' : '';
+    if (!isGemini) {
+        backendEndpointInput.placeholder = BACKEND_DEFAULTS[backend].endpoint;
+        backendModelInput.placeholder = BACKEND_DEFAULTS[backend].model;
+        updateEndpointAccessStatus();
+    }
+}
+
+function formatCost(cost) {
+    return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+// Usage is recorded by the service worker (see recordUsage in sw.js)
+async function renderUsage() {
+    const { usageStats } = await chrome.storage.local.get(['usageStats']);
+    const now = new Date();
+    const monthPrefix = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-`;
+
+    const days = Object.keys(usageStats?.days || {}).filter(d => d.startsWith(monthPrefix)).sort().reverse();
+    let queries = 0, tokens = 0, cost = 0;
+    usageRows.innerHTML = '';
+
+    days.forEach(dayKey => {
+        for (const [model, totals] of Object.entries(usageStats.days[dayKey])) {
+            queries += totals.queries;
+            tokens += totals.totalTokens;
+            cost += totals.cost;
+
+            const tr = document.createElement('tr');
+            const cells = [
+                dayKey,
+                model,
+                totals.queries,
+                totals.promptTokens.toLocaleString(),
+                totals.outputTokens.toLocaleString(),
+                totals.unpriced === totals.queries ? getMessage('notAvailable') : formatCost(totals.cost)
+            ];
+            cells.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                tr.appendChild(td);
+            });
+            usageRows.appendChild(tr);
+        }
+    });
+
+    usageSummary.textContent = queries > 0
+        ? getMessage('usageSummary', [String(queries), tokens.toLocaleString(), formatCost(cost)])
+        : getMessage('usageNone');
+}
+
+async function renderAdapterPermission(adapter, adapterSpan) {
+    const origins = [getAdapterOriginPattern(adapter.baseUrl)];
+    if (await chrome.permissions.contains({ origins })) return;
+
+    adapterSpan.classList.add('needs-permission');
+    adapterSpan.title = getMessage('sourceDirectNeedsPermission', adapter.name);
+    adapterSpan.onclick = async () => {
+        const granted = await chrome.permissions.request({ origins }).catch(() => false);
+        if (granted) {
+            adapterSpan.classList.remove('needs-permission');
+            adapterSpan.title = getMessage('sourceDirectTitle', adapter.name);
+            adapterSpan.onclick = null;
+        }
+    };
+}
+
+async function exportSettings() {
+    const data = await chrome.storage.sync.get(['sources', ...Object.keys(EXPORTED_SETTINGS)]);
+    const settings = {};
+    Object.keys(EXPORTED_SETTINGS).forEach(key => {
+        if (data[key] !== undefined) settings[key] = data[key];
+    });
+
+    // Visit counts are personal, so only the list itself is shared
+    const file = {
+        format: SOURCE_LIST_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        sources: migrateSources(data.sources).map(s => ({
+            domain: s.domain,
+            state: s.state,
+            weight: s.weight !== undefined ? s.weight : 1
+        })),
+        settings
+    };
+
+    const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'sitevouch-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Accepts an export file or a bare source list (see parseSourceList)
+async function importSettings(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        const listed = parseSourceList(data);
+
+        const stored = await chrome.storage.sync.get(['sources']);
+        const result = mergeSourceList(migrateSources(stored.sources), listed);
+        const updates = { sources: result.sources, lastSettingsChange: Date.now() };
+
+        // Anything else in the file (older exports included the backend and
+        // privacy settings) or out of range is skipped
+        const settings = data && typeof data.settings === 'object' && data.settings ? data.settings : {};
+        const importedKeys = Object.keys(EXPORTED_SETTINGS)
+            .filter(key => settings[key] !== undefined && EXPORTED_SETTINGS[key](settings[key]));
+        importedKeys.forEach(key => updates[key] = settings[key]);
+        const skipped = Object.keys(settings).length - importedKeys.length;
+
+        await chrome.storage.sync.set(updates);
+        importStatus.textContent = importedKeys.length > 0
+            ? getMessage('importAddedWithSettings', [String(result.added), String(listed.length), String(importedKeys.length)])
+            : getMessage('importAdded', [String(result.added), String(listed.length)]);
+        if (skipped > 0) importStatus.textContent += ` ${getMessage('importSkippedSettings', String(skipped))}`;
+        initializeSettings();
+    } catch (e) {
+        importStatus.textContent = getMessage('importFailed', e.message);
+    }
+}
+
+async function renderSubscriptions() {
+    const { sourceSubscriptions } = await chrome.storage.sync.get(['sourceSubscriptions']);
+    const subscriptions = sourceSubscriptions || [];
+    subscriptionsList.innerHTML = '';
+
+    subscriptions.forEach(subscription => {
+        const li = document.createElement('li');
+        li.className = 'subscription-item';
+
+        const info = document.createElement('div');
+        info.className = 'subscription-info';
+
+        const urlDiv = document.createElement('div');
+        urlDiv.className = 'subscription-url';
+        urlDiv.textContent = subscription.name ? `${subscription.name} (${subscription.url})` : subscription.url;
+
+        const meta = document.createElement('div');
+        meta.className = 'subscription-meta';
+        if (subscription.lastError) {
+            meta.classList.add('error');
+            meta.textContent = getMessage('subscriptionFailed', subscription.lastError);
+        } else if (subscription.lastChecked) {
+            meta.textContent = getMessage('subscriptionChecked', [String(subscription.count), new Date(subscription.lastChecked).toLocaleString()]);
+        } else {
+            meta.textContent = getMessage('subscriptionNotChecked');
+        }
+
+        info.appendChild(urlDiv);
+        info.appendChild(meta);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = getMessage('subscriptionRemove');
+        removeBtn.className = 'remove';
+        removeBtn.onclick = () => unsubscribe(subscription.url);
+
+        li.appendChild(info);
+        li.appendChild(removeBtn);
+        subscriptionsList.appendChild(li);
+    });
+
+    refreshSubscriptionsBtn.style.display = subscriptions.length > 0 ? '' : 'none';
+}
+
+// The service worker does the fetching and merging (see refreshSubscriptions in sw.js)
+async function checkSubscriptions() {
+    subscriptionStatus.textContent = getMessage('subscriptionChecking');
+    const response = await chrome.runtime.sendMessage({ type: 'REFRESH_SUBSCRIPTIONS' });
+    subscriptionStatus.textContent = response && response.error ? getMessage('subscriptionCheckFailed', response.error) : '';
+    initializeSettings();
+}
+
+async function subscribe() {
+    let url;
+    try {
+        url = new URL(subscriptionUrlInput.value.trim());
+    } catch (e) {
+        subscriptionStatus.textContent = getMessage('subscriptionUrlRequired');
+        return;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        subscriptionStatus.textContent = getMessage('subscriptionUrlUnsupported');
+        return;
+    }
+
+    // Must run directly from the click so Chrome sees the user gesture. Without
+    // access, the list's server has to allow cross-origin requests.
+    await chrome.permissions.request({ origins: [`${url.origin}/*`] }).catch(e => console.error("Permission Request Error", e));
+
+    const { sourceSubscriptions } = await chrome.storage.sync.get(['sourceSubscriptions']);
+    const subscriptions = sourceSubscriptions || [];
+    if (subscriptions.some(s => s.url === url.href)) {
+        subscriptionStatus.textContent = getMessage('subscriptionDuplicate');
+        return;
+    }
+
+    subscriptions.push({ url: url.href });
+    await chrome.storage.sync.set({ sourceSubscriptions: subscriptions });
+    subscriptionUrlInput.value = '';
+    await checkSubscriptions();
+}
+
+// Sources only this list added are removed, unless they've been visited
+async function unsubscribe(url) {
+    const { sourceSubscriptions, sources } = await chrome.storage.sync.get(['sourceSubscriptions', 'sources']);
+    const { subscribedSources } = await chrome.storage.local.get(['subscribedSources']);
+    const result = mergeSourceList(attachSubscriptions(migrateSources(sources), subscribedSources), [], url);
+    const detached = detachSubscriptions(result.sources);
+
+    const updates = {
+        sourceSubscriptions: (sourceSubscriptions || []).filter(s => s.url !== url),
+        sources: detached.sources
+    };
+    if (result.removed > 0) updates.lastSettingsChange = Date.now();
+    await chrome.storage.sync.set(updates);
+    await chrome.storage.local.set({ subscribedSources: detached.subscribedSources });
+    initializeSettings();
+}
+
 function initializeSettings() {
-    chrome.storage.sync.get(['sources', 'geminiApiKey', 'preferredModel', 'maxBullets', 'maxWords', 'positiveThreshold', 'negativeThreshold', 'maxProviders'], (data) => {
+    chrome.storage.sync.get(['backend', 'backendEndpoint', 'backendApiKey', 'backendModel', 'sources', 'geminiApiKey', 'preferredModel', 'maxBullets', 'maxWords', 'positiveThreshold', 'negativeThreshold', 'contestedSpread', 'sharpChangeThreshold', 'maxProviders', 'maxConcurrentQueries', 'requestsPerMinute', 'monthlyBudget', 'queryMode', 'incognitoPolicy', 'skipPrivateHosts', 'denyPatterns', 'allowPatterns', 'useOpenWeb', 'countOpenWebInBadge', 'showWarningBanner', 'annotateLinks', 'summaryLanguage', 'notifyBadSites', 'quietHoursStart', 'quietHoursEnd', 'mutedNotificationHosts'], (data) => {
         let sources = migrateSources(data.sources);
 
         if (data.geminiApiKey) apiKeyInput.value = data.geminiApiKey;
         modelSelect.value = data.preferredModel || "gemini-3-flash-preview";
+        backendSelect.value = data.backend || 'gemini';
+        if (data.backendEndpoint) backendEndpointInput.value = data.backendEndpoint;
+        if (data.backendApiKey) backendApiKeyInput.value = data.backendApiKey;
+        if (data.backendModel) backendModelInput.value = data.backendModel;
+        renderBackendSettings();
         if (data.maxBullets) maxBulletsInput.value = data.maxBullets;
         if (data.maxWords) maxWordsInput.value = data.maxWords;
+        summaryLanguageSelect.value = data.summaryLanguage || '';
         positiveThresholdInput.value = data.positiveThreshold !== undefined ? data.positiveThreshold : 4.0;
         negativeThresholdInput.value = data.negativeThreshold !== undefined ? data.negativeThreshold : 2.5;
+        contestedSpreadInput.value = data.contestedSpread !== undefined ? data.contestedSpread : 2.5;
+        sharpChangeThresholdInput.value = data.sharpChangeThreshold !== undefined ? data.sharpChangeThreshold : 1.5;
+
+        if (data.maxConcurrentQueries) maxConcurrentQueriesInput.value = data.maxConcurrentQueries;
+        if (data.requestsPerMinute) requestsPerMinuteInput.value = data.requestsPerMinute;
+        monthlyBudgetInput.value = data.monthlyBudget || 0;
+
+        // Defaults match getPrivacyDecision in sw.js
+        queryModeSelect.value = data.queryMode || 'auto';
+        incognitoPolicySelect.value = data.incognitoPolicy || 'cached';
+        skipPrivateHostsCheck.checked = data.skipPrivateHosts !== false;
+        denyPatternsInput.value = (data.denyPatterns || []).join('\n');
+        allowPatternsInput.value = (data.allowPatterns || []).join('\n');
+
+        useOpenWebCheck.checked = data.useOpenWeb === true;
+        countOpenWebCheck.checked = data.countOpenWebInBadge === true;
+        renderOpenWebOptions();
+
+        showWarningBannerCheck.checked = data.showWarningBanner === true;
+        renderDismissedWarnings();
+        annotateLinksSelect.value = data.annotateLinks || 'off';
+
+        notifyBadSitesCheck.checked = data.notifyBadSites === true;
+        quietHoursStartInput.value = data.quietHoursStart || '';
+        quietHoursEndInput.value = data.quietHoursEnd || '';
+        mutedNotificationHostsInput.value = (data.mutedNotificationHosts || []).join('\n');
 
         currentMaxProviders = data.maxProviders || 20;
         maxProvidersInput.value = currentMaxProviders;
@@ -145,6 +576,23 @@ function initializeSettings() {
 // Auto-save handlers
 apiKeyInput.addEventListener('input', () => chrome.storage.sync.set({ geminiApiKey: apiKeyInput.value.trim() }));
 modelSelect.addEventListener('change', () => chrome.storage.sync.set({ preferredModel: modelSelect.value, lastSettingsChange: Date.now() }));
+backendSelect.addEventListener('change', () => {
+    chrome.storage.sync.set({ backend: backendSelect.value, lastSettingsChange: Date.now() });
+    renderBackendSettings();
+});
+backendEndpointInput.addEventListener('change', () => {
+    chrome.storage.sync.set({ backendEndpoint: backendEndpointInput.value.trim(), lastSettingsChange: Date.now() });
+    updateEndpointAccessStatus();
+});
+backendApiKeyInput.addEventListener('input', () => chrome.storage.sync.set({ backendApiKey: backendApiKeyInput.value.trim() }));
+backendModelInput.addEventListener('change', () => chrome.storage.sync.set({ backendModel: backendModelInput.value.trim(), lastSettingsChange: Date.now() }));
+grantEndpointBtn.addEventListener('click', async () => {
+    const origin = getEndpointOrigin();
+    if (!origin) return;
+    // Must run directly from the click so Chrome sees the user gesture
+    await chrome.permissions.request({ origins: [origin] }).catch(e => console.error("Permission Request Error", e));
+    updateEndpointAccessStatus();
+});
 maxBulletsInput.addEventListener('change', () => {
     const val = parseInt(maxBulletsInput.value, 10);
     if (val > 0) chrome.storage.sync.set({ maxBullets: val, lastSettingsChange: Date.now() });
@@ -153,6 +601,15 @@ maxWordsInput.addEventListener('change', () => {
     const val = parseInt(maxWordsInput.value, 10);
     if (val > 0) chrome.storage.sync.set({ maxWords: val, lastSettingsChange: Date.now() });
 });
+
+// Listed after the "Browser language" default, named in the UI language
+function renderSummaryLanguages() {
+    const names = new Intl.DisplayNames([chrome.i18n.getUILanguage()], { type: 'language' });
+    SUMMARY_LANGUAGES.forEach(language => summaryLanguageSelect.add(new Option(names.of(language), language)));
+}
+renderSummaryLanguages();
+// No lastSettingsChange: cache entries record their language, so only ones in another language go stale
+summaryLanguageSelect.addEventListener('change', () => chrome.storage.sync.set({ summaryLanguage: summaryLanguageSelect.value }));
 positiveThresholdInput.addEventListener('change', () => {
     const val = parseFloat(positiveThresholdInput.value);
     if (!isNaN(val)) chrome.storage.sync.set({ positiveThreshold: val });
@@ -161,6 +618,14 @@ negativeThresholdInput.addEventListener('change', () => {
     const val = parseFloat(negativeThresholdInput.value);
     if (!isNaN(val)) chrome.storage.sync.set({ negativeThreshold: val });
 });
+contestedSpreadInput.addEventListener('change', () => {
+    const val = parseFloat(contestedSpreadInput.value);
+    if (!isNaN(val) && val > 0) chrome.storage.sync.set({ contestedSpread: val });
+});
+sharpChangeThresholdInput.addEventListener('change', () => {
+    const val = parseFloat(sharpChangeThresholdInput.value);
+    if (!isNaN(val) && val > 0) chrome.storage.sync.set({ sharpChangeThreshold: val });
+});
 maxProvidersInput.addEventListener('change', () => {
     const val = parseInt(maxProvidersInput.value, 10);
     if (val > 0) {
@@ -170,6 +635,99 @@ maxProvidersInput.addEventListener('change', () => {
     }
 });
 
+maxConcurrentQueriesInput.addEventListener('change', () => {
+    const val = parseInt(maxConcurrentQueriesInput.value, 10);
+    if (val > 0) chrome.storage.sync.set({ maxConcurrentQueries: val });
+});
+requestsPerMinuteInput.addEventListener('change', () => {
+    const val = parseInt(requestsPerMinuteInput.value, 10);
+    if (val > 0) chrome.storage.sync.set({ requestsPerMinute: val });
+});
+
+monthlyBudgetInput.addEventListener('change', () => {
+    const val = parseFloat(monthlyBudgetInput.value);
+    if (!isNaN(val) && val >= 0) chrome.storage.sync.set({ monthlyBudget: val });
+});
+
+queryModeSelect.addEventListener('change', () => chrome.storage.sync.set({ queryMode: queryModeSelect.value }));
+incognitoPolicySelect.addEventListener('change', () => chrome.storage.sync.set({ incognitoPolicy: incognitoPolicySelect.value }));
+skipPrivateHostsCheck.addEventListener('change', () => chrome.storage.sync.set({ skipPrivateHosts: skipPrivateHostsCheck.checked }));
+
+// One host pattern per line, see matchesHostPattern in sw.js
+function parsePatterns(text) {
+    return text.split('\n').map(line => normalizeHostname(line)).filter(Boolean);
+}
+denyPatternsInput.addEventListener('change', () => {
+    const denyPatterns = parsePatterns(denyPatternsInput.value);
+    denyPatternsInput.value = denyPatterns.join('\n');
+    chrome.storage.sync.set({ denyPatterns });
+});
+allowPatternsInput.addEventListener('change', () => {
+    const allowPatterns = parsePatterns(allowPatternsInput.value);
+    allowPatternsInput.value = allowPatterns.join('\n');
+    chrome.storage.sync.set({ allowPatterns });
+});
+
+// Counting other sources only means anything while they're being asked for
+function renderOpenWebOptions() {
+    countOpenWebCheck.disabled = !useOpenWebCheck.checked;
+    countOpenWebOption.classList.toggle('disabled', !useOpenWebCheck.checked);
+}
+useOpenWebCheck.addEventListener('change', () => {
+    chrome.storage.sync.set({ useOpenWeb: useOpenWebCheck.checked, lastSettingsChange: Date.now() });
+    renderOpenWebOptions();
+});
+countOpenWebCheck.addEventListener('change', () => chrome.storage.sync.set({ countOpenWebInBadge: countOpenWebCheck.checked }));
+
+// The banner is injected into the sites themselves, hence the host permission
+const ALL_SITES_ORIGINS = ['https://*/*', 'http://*/*'];
+showWarningBannerCheck.addEventListener('change', async () => {
+    if (showWarningBannerCheck.checked) {
+        const granted = await chrome.permissions.request({ origins: ALL_SITES_ORIGINS }).catch(() => false);
+        if (!granted) {
+            showWarningBannerCheck.checked = false;
+            return;
+        }
+    }
+    chrome.storage.sync.set({ showWarningBanner: showWarningBannerCheck.checked });
+});
+
+// Dismissals are per site key, see dismissWarning in sw.js
+async function renderDismissedWarnings() {
+    const { dismissedWarnings } = await chrome.storage.local.get(['dismissedWarnings']);
+    const count = Object.keys(dismissedWarnings || {}).length;
+    dismissedWarningsDiv.hidden = count === 0;
+    dismissedWarningsCount.textContent = getMessage('dismissedWarnings', String(count));
+}
+resetDismissalsBtn.addEventListener('click', async () => {
+    await chrome.storage.local.remove('dismissedWarnings');
+    renderDismissedWarnings();
+});
+
+// The service worker registers annotate.js once the permission is granted
+annotateLinksSelect.addEventListener('change', async () => {
+    const mode = annotateLinksSelect.value;
+    if (mode !== 'off') {
+        const granted = await chrome.permissions.request({ origins: getLinkMarkerOrigins(mode) }).catch(() => false);
+        if (!granted) {
+            const { annotateLinks } = await chrome.storage.sync.get(['annotateLinks']);
+            annotateLinksSelect.value = annotateLinks || 'off';
+            return;
+        }
+    }
+    chrome.storage.sync.set({ annotateLinks: mode });
+});
+
+// See notifyBadSite in sw.js
+notifyBadSitesCheck.addEventListener('change', () => chrome.storage.sync.set({ notifyBadSites: notifyBadSitesCheck.checked }));
+quietHoursStartInput.addEventListener('change', () => chrome.storage.sync.set({ quietHoursStart: quietHoursStartInput.value }));
+quietHoursEndInput.addEventListener('change', () => chrome.storage.sync.set({ quietHoursEnd: quietHoursEndInput.value }));
+mutedNotificationHostsInput.addEventListener('change', () => {
+    const mutedNotificationHosts = parsePatterns(mutedNotificationHostsInput.value);
+    mutedNotificationHostsInput.value = mutedNotificationHosts.join('\n');
+    chrome.storage.sync.set({ mutedNotificationHosts });
+});
+
 const autoAddSourcesCheck = document.getElementById('autoAddSources');
 autoAddSourcesCheck.addEventListener('change', () => {
     chrome.storage.sync.set({ autoAddSources: autoAddSourcesCheck.checked });
@@ -187,7 +745,8 @@ function addSource() {
             const newSource = {
                 domain: newDomain,
                 state: 'auto', // Default to auto
-                visits: 0
+                visits: 0,
+                weight: 1
             };
             sources.push(newSource);
 
@@ -221,6 +780,21 @@ function updateSourceState(domain, newState) {
     });
 }
 
+function updateSourceWeight(domain, weight) {
+    const item = displayedSources.find(s => s.domain === domain);
+    if (item) item.weight = weight;
+
+    // Weights only change how cached results are scored, so no need to touch lastSettingsChange
+    chrome.storage.sync.get(['sources'], (data) => {
+        let sources = migrateSources(data.sources);
+        const storeItem = sources.find(s => s.domain === domain);
+        if (storeItem) {
+            storeItem.weight = weight;
+            chrome.storage.sync.set({ sources });
+        }
+    });
+}
+
 function removeSource(domain) {
     // 1. Update in-memory
     displayedSources = displayedSources.filter(s => s.domain !== domain);
@@ -235,7 +809,33 @@ function removeSource(domain) {
 }
 
 document.addEventListener('DOMContentLoaded', initializeSettings);
+document.addEventListener('DOMContentLoaded', renderUsage);
+document.addEventListener('DOMContentLoaded', renderSubscriptions);
+document.addEventListener('DOMContentLoaded', loadReviewFlagCounts);
+document.addEventListener('DOMContentLoaded', loadSubscribedSources);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.usageStats) renderUsage();
+    if (areaName === 'local' && changes.reviewFlags) loadReviewFlagCounts();
+    if (areaName === 'local' && changes.subscribedSources) loadSubscribedSources();
+    if (areaName === 'sync' && changes.sourceSubscriptions) renderSubscriptions();
+    // Muted from a notification while this page is open
+    if (areaName === 'sync' && changes.mutedNotificationHosts) {
+        mutedNotificationHostsInput.value = (changes.mutedNotificationHosts.newValue || []).join('\n');
+    }
+});
 addBtn.addEventListener('click', addSource);
 input.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') addSource();
 });
+
+exportBtn.addEventListener('click', exportSettings);
+importBtn.addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', () => {
+    if (importFileInput.files.length > 0) importSettings(importFileInput.files[0]);
+    importFileInput.value = '';
+});
+subscribeBtn.addEventListener('click', subscribe);
+subscriptionUrlInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') subscribe();
+});
+refreshSubscriptionsBtn.addEventListener('click', checkSubscriptions);
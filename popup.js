@@ -4,8 +4,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     const refreshBtn = document.getElementById('refresh-btn');
     const resultDiv = document.getElementById('gemini-result');
     const queueDiv = document.getElementById('queue-status');
-    const retryDiv = document.getElementById('retry-status');
     const sourcesDiv = document.getElementById('sources-container');
+    const trendDiv = document.getElementById('trend-container');
+    const openWebElements = {
+        container: document.getElementById('open-web-container'),
+        summary: document.getElementById('open-web-summary'),
+        list: document.getElementById('open-web-list')
+    };
 
     const settingsBtn = document.getElementById('settings-btn');
     if (settingsBtn) {
@@ -18,27 +23,77 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
-    let currentHostname = "";
+    // Opening it needs the user gesture, so it can't wait for anything async
+    document.getElementById('side-panel-btn').addEventListener('click', () => {
+        chrome.sidePanel.open({ windowId: tab.windowId }).then(() => window.close())
+            .catch(e => console.error("Side Panel Error", e));
+    });
+
+    const { separateSubdomainSites, contestedSpread, countOpenWebInBadge } = await chrome.storage.sync.get(['separateSubdomainSites', 'contestedSpread', 'countOpenWebInBadge']);
+    let tabHostname = "";
+    let currentHostname = ""; // Site key the service worker caches and queries under
 
     if (tab && tab.url) {
         try {
-            currentHostname = new URL(tab.url).hostname;
+            tabHostname = new URL(tab.url).hostname;
+            currentHostname = getSiteKey(tabHostname, separateSubdomainSites);
             hostSpan.textContent = currentHostname;
+            hostSpan.title = tabHostname;
         } catch (e) {
             currentHostname = "";
-            hostSpan.textContent = "Invalid URL";
+            hostSpan.textContent = getMessage('invalidUrl');
         }
     } else {
-        hostSpan.textContent = "No URL";
+        hostSpan.textContent = getMessage('noUrl');
         refreshBtn.disabled = true;
         refreshBtn.classList.add('disabled'); // Ensure style updates if needed
     }
 
+    // -------------------------------------------------------------
+    // Subject Logic
+    // -------------------------------------------------------------
+    // On aggregator platforms (see subjects.js) default to the channel, subreddit
+    // etc. and offer the whole site as the alternative
+    const scopeSwitch = document.getElementById('scope-switch');
+    const subject = currentHostname ? getSubject(tab.url) : null;
+
+    if (subject) {
+        const scopes = [
+            { key: subject.key, label: subject.name, title: subject.kind, hostTitle: getMessage('subjectOnSite', [subject.kind, currentHostname]) },
+            { key: currentHostname, label: currentHostname, title: getMessage('wholeSite'), hostTitle: tabHostname }
+        ];
+
+        const selectScope = (scope) => {
+            currentHostname = scope.key;
+            hostSpan.textContent = scope.label;
+            hostSpan.title = scope.hostTitle;
+            scopeSwitch.querySelectorAll('button').forEach(b => b.classList.toggle('active', b.dataset.key === scope.key));
+        };
+
+        scopes.forEach(scope => {
+            const btn = document.createElement('button');
+            btn.dataset.key = scope.key;
+            btn.textContent = scope.label;
+            btn.title = scope.title;
+            btn.addEventListener('click', () => {
+                if (currentHostname === scope.key) return;
+                selectScope(scope);
+                resultDiv.innerHTML = '';
+                refreshStatus(true);
+            });
+            scopeSwitch.appendChild(btn);
+        });
+        scopeSwitch.style.display = 'flex';
+        selectScope(scopes[0]);
+    }
+
     // Check configuration
-    const { geminiApiKey, sources } = await chrome.storage.sync.get(['geminiApiKey', 'sources']);
+    const { backend, geminiApiKey, backendApiKey, sources } = await chrome.storage.sync.get(['backend', 'geminiApiKey', 'backendApiKey', 'sources']);
 
-    if (!geminiApiKey) {
-        resultDiv.innerHTML = "API key required.<br>Please configure it in the extension settings.";
+    // Local model servers don't need a key, see BACKENDS in sw.js
+    const missingApiKey = backend === 'openai' ? !backendApiKey : (backend !== 'local' && !geminiApiKey);
+    if (missingApiKey) {
+        resultDiv.innerHTML = `${getMessage('apiKeyRequired')}<br>${getMessage('apiKeyRequiredHint')}`;
         resultDiv.style.color = "#d32f2f"; // Error color
         refreshBtn.disabled = true;
         refreshBtn.classList.add('disabled');
@@ -46,7 +101,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     if (!sources || sources.length === 0) {
-        resultDiv.innerHTML = "Discovering trusted reputation sources.<br>Alternatively add sources manually in settings.";
+        resultDiv.innerHTML = `${getMessage('discoveringSources')}<br>${getMessage('discoveringSourcesHint')}`;
         resultDiv.style.color = "#555";
     }
 
@@ -56,6 +111,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     const providerSettingsDiv = document.getElementById('provider-settings');
     const providerSlider = document.getElementById('provider-slider');
     const providerStateText = document.getElementById('provider-state-text');
+    const providerWeightInput = document.getElementById('provider-weight');
 
     function migrateSources(sources) {
         if (!sources || sources.length === 0) return [];
@@ -67,9 +123,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     if (currentHostname) {
         const migratedSources = migrateSources(sources);
-        const matchedSource = migratedSources.find(s =>
-            currentHostname === s.domain || currentHostname.endsWith('.' + s.domain) || s.domain.endsWith('.' + currentHostname)
-        );
+        const matchedSource = migratedSources.find(s => isSameSite(tabHostname, s.domain, separateSubdomainSites));
 
         if (matchedSource) {
             providerSettingsDiv.style.display = 'flex';
@@ -79,12 +133,12 @@ document.addEventListener('DOMContentLoaded', async () => {
             // Set initial state
             providerSlider.value = states.indexOf(matchedSource.state);
             providerSlider.className = `toggle-slider state-${matchedSource.state}`;
-            providerStateText.textContent = matchedSource.state;
+            providerStateText.textContent = getMessage(SOURCE_STATE_MESSAGES[matchedSource.state]);
 
             // UI Update handler
             providerSlider.oninput = () => {
                 const newState = states[parseInt(providerSlider.value)];
-                providerStateText.textContent = newState;
+                providerStateText.textContent = getMessage(SOURCE_STATE_MESSAGES[newState]);
                 providerSlider.className = `toggle-slider state-${newState}`;
             };
 
@@ -99,230 +153,148 @@ document.addEventListener('DOMContentLoaded', async () => {
                     await chrome.storage.sync.set({ sources: currentSources, lastSettingsChange: Date.now() });
                 }
             };
+
+            providerWeightInput.value = matchedSource.weight !== undefined ? matchedSource.weight : 1;
+            providerWeightInput.onchange = async () => {
+                const weight = parseFloat(providerWeightInput.value);
+                if (isNaN(weight) || weight < 0) return;
+                const { sources: latestSources } = await chrome.storage.sync.get(['sources']);
+                let currentSources = migrateSources(latestSources);
+                const target = currentSources.find(s => s.domain === matchedSource.domain);
+                if (target) {
+                    target.weight = weight;
+                    await chrome.storage.sync.set({ sources: currentSources });
+                }
+            };
         }
     }
 
+    // Source weights, kept current so the table reflects edits made here or in options
+    let weighting = { sources: migrateSources(sources), separateSubdomainSites };
+
     // -------------------------------------------------------------
-    // Rendering logic
+    // Subdomain Settings Logic
     // -------------------------------------------------------------
-    function getStarRatingHtml(rating) {
-        let starsHtml = '<div class="star-rating" style="display: flex; align-items: center;">';
-        for (let i = 1; i <= 5; i++) {
-            let fillPercentage = 0;
-            if (rating >= i) {
-                fillPercentage = 100;
-            } else if (rating > i - 1) {
-                fillPercentage = (rating - (i - 1)) * 100;
-            }
-
-            const gradientId = `star-grad-${i}-${Math.round(Math.random() * 10000)}`;
-
-            starsHtml += `
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                    <defs>
-                        <linearGradient id="${gradientId}" x1="0%" y1="0%" x2="100%" y2="0%">
-                            <stop offset="${fillPercentage}%" stop-color="#FFC107" />
-                            <stop offset="${fillPercentage}%" stop-color="#E0E0E0" />
-                        </linearGradient>
-                    </defs>
-                    <path d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z" fill="url(#${gradientId})" stroke="#E0E0E0" stroke-width="1"/>
-                </svg>
-            `;
-        }
-        starsHtml += '</div>';
-        return starsHtml;
+    const subdomainOption = document.getElementById('subdomain-option');
+    const separateSubdomainsCheck = document.getElementById('separate-subdomains');
+    const registrableDomain = tabHostname ? getRegistrableDomain(tabHostname) : "";
+    const siteList = separateSubdomainSites || [];
+
+    // Only worth offering when this tab is actually on a subdomain (or already split)
+    if (registrableDomain && (tabHostname.replace(/^www\./, '') !== registrableDomain || siteList.includes(registrableDomain))) {
+        subdomainOption.style.display = 'block';
+        document.getElementById('subdomain-label').textContent = getMessage('separateSubdomains', registrableDomain);
+        separateSubdomainsCheck.checked = siteList.includes(registrableDomain);
+
+        separateSubdomainsCheck.onchange = async () => {
+            const { separateSubdomainSites: latest } = await chrome.storage.sync.get(['separateSubdomainSites']);
+            const updated = (latest || []).filter(d => d !== registrableDomain);
+            if (separateSubdomainsCheck.checked) updated.push(registrableDomain);
+            await chrome.storage.sync.set({ separateSubdomainSites: updated });
+            location.reload(); // Re-initialize with the new site key
+        };
     }
 
-    function renderSources(groundingMetadata) {
-        if (!groundingMetadata) {
-            sourcesDiv.innerHTML = '';
-            sourcesDiv.style.display = 'none';
-            return;
-        }
-
-        sourcesDiv.style.display = 'block';
-
-        const queries = groundingMetadata.webSearchQueries || [];
-        const chunks = groundingMetadata.groundingChunks || [];
-
-        let listItems = '';
-
-        // Flash/Pro models might have different structures, but typically:
-        // chunks[].web.uri / title
-
-        const seenUrls = new Set();
-
-        // 1. Add Search Queries
-        queries.forEach(query => {
-            const url = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-            listItems += `<li><a href="${url}" target="_blank">🔍 Search: ${query}</a></li>`;
-        });
-
-        // 2. Add specific Web Sources
-        chunks.forEach(chunk => {
-            if (chunk.web && chunk.web.uri && chunk.web.title) {
-                if (!seenUrls.has(chunk.web.uri)) {
-                    seenUrls.add(chunk.web.uri);
-                    listItems += `<li><a href="${chunk.web.uri}" target="_blank">🔗 ${chunk.web.title}</a></li>`;
-                }
-            }
+    // -------------------------------------------------------------
+    // Rendering logic (see result_view.js)
+    // -------------------------------------------------------------
+    // The status update that follows re-renders with the review promoted
+    function trustSource(review) {
+        chrome.runtime.sendMessage({ type: 'TRUST_SOURCE', hostname: currentHostname, source: review.source }, () => {
+            if (chrome.runtime.lastError) return;
+            refreshStatus();
         });
+    }
 
-        if (!listItems) {
-            sourcesDiv.innerHTML = '';
-            sourcesDiv.style.display = 'none';
-            return;
-        }
-
-        const html = `
-            <div class="sources-toggle">Sources (${queries.length + seenUrls.size})</div>
-            <div class="sources-list">
-                <ul>${listItems}</ul>
-            </div>
-        `;
-        sourcesDiv.innerHTML = html;
-
-        const toggle = sourcesDiv.querySelector('.sources-toggle');
-        const list = sourcesDiv.querySelector('.sources-list');
-
-        toggle.addEventListener('click', () => {
-            const isExpanded = toggle.classList.toggle('expanded');
-            list.classList.toggle('expanded');
+    function flagReview(review, reason) {
+        chrome.runtime.sendMessage({ type: 'FLAG_REVIEW', hostname: currentHostname, source: review.source, reason }, () => {
+            if (chrome.runtime.lastError) return;
+            refreshStatus();
         });
     }
 
-    function renderResult(reviews) {
-        if (!reviews || reviews.length === 0) {
-            resultDiv.textContent = "No relevant reputation data found.";
-            return;
+    // -------------------------------------------------------------
+    // Personal Verdict Logic
+    // -------------------------------------------------------------
+    // The user's own rating and note, kept apart from the source reviews
+    const verdictContainer = document.getElementById('verdict-container');
+    const verdictSummary = document.getElementById('verdict-summary');
+    const verdictRating = document.getElementById('verdict-rating');
+    const verdictNote = document.getElementById('verdict-note');
+    let verdictHostname = null; // Switching scope shows the other key's verdict
+
+    function renderVerdict(verdict) {
+        verdictContainer.style.display = 'block';
+        verdictContainer.classList.toggle('rated', !!(verdict && verdict.rating));
+        if (verdict && verdict.rating) {
+            verdictSummary.textContent = getMessage('verdictRated', String(verdict.rating));
+        } else {
+            verdictSummary.textContent = getMessage(verdict ? 'verdictNoteOnly' : 'verdictSummary');
         }
 
-        // Sort: Matching sources first
-        const sortedReviews = [...reviews].sort((a, b) => {
-            // Treat undefined matchingSource as false (or handle legacy data)
-            // Ideally new data has true/false. 
-            // If a is matching/true and b is not, a comes first (-1)
-            const aMatch = a.matchingSource === true;
-            const bMatch = b.matchingSource === true;
-            if (aMatch && !bMatch) return -1;
-            if (!aMatch && bMatch) return 1;
-            return 0;
-        });
-
-        let tableHtml = `
-            <table>
-                <thead>
-                    <tr>
-                        <th>Source</th>
-                        <th>Rating</th>
-                        <th>Summary</th>
-                    </tr>
-                </thead>
-                <tbody>
-        `;
-
-        sortedReviews.forEach(review => {
-            const summaryList = Array.isArray(review.summary) ? review.summary.map(s => `<li>${s}</li>`).join('') : review.summary;
-            const ratingHtml = getStarRatingHtml(review.rating || 0);
-            const sourceHtml = review.url ? `<a class="source-link" data-url="${review.url}">${review.source}</a>` : review.source;
-
-            const notMatching = review.matchingSource === false;
-            const rowStyle = notMatching ? 'style="background-color: #f5f5f5; color: #777;"' : '';
-
-            tableHtml += `
-                <tr ${rowStyle}>
-                    <td>${sourceHtml}</td>
-                    <td>${ratingHtml}</td>
-                    <td><ul>${summaryList}</ul></td>
-                </tr>
-            `;
-        });
-
-        tableHtml += `</tbody></table>`;
-        resultDiv.innerHTML = tableHtml;
+        // Don't overwrite what's being edited when a status update comes in
+        const switched = verdictHostname !== currentHostname;
+        verdictHostname = currentHostname;
+        if (switched) verdictContainer.open = !!verdict;
+        if (switched || document.activeElement !== verdictRating) {
+            verdictRating.value = verdict && verdict.rating ? String(verdict.rating) : '';
+        }
+        if (switched || document.activeElement !== verdictNote) {
+            verdictNote.value = verdict ? verdict.note : '';
+        }
+    }
 
-        document.querySelectorAll('.source-link').forEach(link => {
-            link.addEventListener('click', (e) => {
-                const url = e.target.getAttribute('data-url');
-                if (url) {
-                    chrome.tabs.create({ url: url });
-                }
-            });
+    function saveVerdict() {
+        const rating = verdictRating.value ? parseInt(verdictRating.value, 10) : null;
+        chrome.runtime.sendMessage({ type: 'SET_VERDICT', hostname: currentHostname, rating, note: verdictNote.value }, (response) => {
+            if (chrome.runtime.lastError) return;
+            if (response) renderVerdict(response.verdict);
         });
     }
 
+    verdictRating.addEventListener('change', saveVerdict);
+    verdictNote.addEventListener('change', saveVerdict);
+    document.getElementById('verdict-clear').addEventListener('click', () => {
+        verdictRating.value = '';
+        verdictNote.value = '';
+        saveVerdict();
+    });
+
     // -------------------------------------------------------------
     // Status / Countdown Logic
     // -------------------------------------------------------------
     let countdownInterval = null;
 
-    function startCountdown(targetTime) {
-        if (countdownInterval) clearInterval(countdownInterval);
-
-        const update = () => {
-            const now = Date.now();
-            const diff = Math.ceil((targetTime - now) / 1000);
-
-            if (diff <= 0) {
-                if (retryDiv) retryDiv.textContent = "";
-                clearInterval(countdownInterval);
-                countdownInterval = null;
-                return;
-            }
-            if (retryDiv) retryDiv.textContent = `Retrying in ${diff}s...`;
-        };
-
-        update(); // Run immediately
-        countdownInterval = setInterval(update, 1000);
-    }
-
     function renderStatus(status) {
-        // Clear any existing countdown if we are not in a waiting state
-        // OR if the waiting state is over
-        if (!status?.currentTask?.nextRetryTime || status.currentTask.nextRetryTime <= Date.now()) {
-            if (countdownInterval) {
-                clearInterval(countdownInterval);
-                countdownInterval = null;
-            }
-            if (retryDiv) retryDiv.textContent = "";
-        }
-
-        let allTasks = [];
-        if (status.currentTask) {
-            allTasks.push(status.currentTask);
+        // Re-render every second while any task is counting down to a retry
+        if (countdownInterval) {
+            clearInterval(countdownInterval);
+            countdownInterval = null;
         }
-        if (status.queue) {
-            allTasks = allTasks.concat(status.queue);
+        const activeTasks = status.activeTasks || [];
+        if (activeTasks.some(t => t.nextRetryTime > Date.now())) {
+            countdownInterval = setInterval(() => renderQueue(queueDiv, status), 1000);
         }
+        renderQueue(queueDiv, status);
 
-        // Retry Display Logic - shows ABOVE queue
-        if (status.currentTask && status.currentTask.nextRetryTime && status.currentTask.nextRetryTime > Date.now()) {
-            startCountdown(status.currentTask.nextRetryTime);
-        } else {
-            // Double check it's cleared if we didn't start it
-            if (!countdownInterval && retryDiv) retryDiv.textContent = "";
-        }
+        const allTasks = activeTasks.concat(status.queue || []);
+        renderVerdict(status.verdict);
 
-        // Queue/Processing Display Logic - Always shows if tasks exist
-        if (status.lastError) {
-            let content = `<span style="color: #d32f2f;">Error: ${status.lastError}</span>`;
-            if (allTasks.length > 0) {
-                const hostnames = allTasks.map(t => t.hostname).join(', ');
-                content += `<br>Processing: ${hostnames}`;
-            }
-            queueDiv.innerHTML = content;
-        } else if (allTasks.length > 0) {
-            const hostnames = allTasks.map(t => t.hostname).join(', ');
-            queueDiv.textContent = `Processing: ${hostnames}`;
-        } else {
-            queueDiv.textContent = "";
+        if (status.queryBlock && !status.currentResult) {
+            resultDiv.textContent = getMessage('siteNotChecked', status.queryBlock);
+            resultDiv.style.color = "#555";
         }
 
         if (status.currentResult) {
-            renderResult(status.currentResult.reviews);
-            renderSources(status.currentResult.groundingMetadata);
+            renderReviewTable(resultDiv, status.currentResult.reviews,
+                getScoredReviews(status.currentResult, countOpenWebInBadge === true), weighting, contestedSpread, flagReview);
+            renderOpenWeb(openWebElements, status.currentResult.openWebReviews, countOpenWebInBadge, trustSource);
+            renderSources(sourcesDiv, status.currentResult.groundingMetadata);
+            renderTrend(trendDiv, status.history, status.currentResult.ratingChange);
         } else {
-            renderSources(null); // Clear sources if no result
+            renderSources(sourcesDiv, null); // Clear sources if no result
+            renderOpenWeb(openWebElements, null);
+            renderTrend(trendDiv, null, null);
         }
 
         // Check if current hostname is being processed
@@ -334,7 +306,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             refreshBtn.disabled = true;
         } else {
             refreshBtn.classList.remove('spinning');
-            refreshBtn.disabled = false;
+            refreshBtn.disabled = !!status.queryBlock;
         }
     }
 
@@ -344,7 +316,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initial fetch
     if (currentHostname) {
-        chrome.runtime.sendMessage({ type: 'GET_STATUS', hostname: currentHostname }, (response) => {
+        chrome.runtime.sendMessage({ type: 'GET_STATUS', hostname: currentHostname, tabId: tab.id, popupOpened: true }, (response) => {
             if (chrome.runtime.lastError) {
                 console.warn("Background service probably not ready:", chrome.runtime.lastError.message);
                 return;
@@ -355,6 +327,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    function refreshStatus(popupOpened = false) {
+        chrome.runtime.sendMessage({ type: 'GET_STATUS', hostname: currentHostname, tabId: tab.id, popupOpened }, (response) => {
+            if (chrome.runtime.lastError) return;
+            if (response) renderStatus(response);
+        });
+    }
+
+    // Re-render with new weights (changed here, or in options while we're open)
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync' || !changes.sources || !currentHostname) return;
+        weighting = { sources: migrateSources(changes.sources.newValue), separateSubdomainSites };
+        refreshStatus();
+    });
+
     // Listen for updates from background
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         if (request.type === 'STATUS_UPDATE') {
@@ -363,15 +349,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             // The broadcast message sends: queue, currentTask, lastError. It DOES NOT send 'currentResult' (cache lookup).
 
             // If we are just showing status (queue/retrying), the broadcast data is enough for the queueDiv update.
-            // BUT renderStatus expects 'currentResult' to guard renderResult call.
+            // BUT renderStatus expects 'currentResult' to guard renderReviewTable call.
 
             // Let's stick to the existing pattern: fetch status specific to this hostname
-            if (currentHostname) {
-                chrome.runtime.sendMessage({ type: 'GET_STATUS', hostname: currentHostname }, (response) => {
-                    if (chrome.runtime.lastError) return;
-                    if (response) renderStatus(response);
-                });
-            }
+            if (currentHostname) refreshStatus();
         }
     });
 
@@ -382,9 +363,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         // No UI clearing, just send request (animation handled by status update)
         chrome.runtime.sendMessage({ type: 'REFRESH', hostname: currentHostname, tabId: tab.id }, (response) => {
             if (chrome.runtime.lastError) {
-                resultDiv.textContent = "Error: " + chrome.runtime.lastError.message;
+                resultDiv.textContent = getMessage('errorMessage', chrome.runtime.lastError.message);
                 return;
             }
+            if (response && response.error) {
+                resultDiv.textContent = getMessage('errorMessage', response.error);
+            } else if (response && response.reason) {
+                resultDiv.textContent = getMessage('siteNotChecked', response.reason);
+            }
         });
     });
 
@@ -0,0 +1,96 @@
+// Rating helpers shared by the service worker (badges) and the popup (review table).
+// Requires domain.js.
+//
+// "weighting" is { sources, separateSubdomainSites } from storage.sync. Without it
+// every source has weight 1.
+
+const DEFAULT_CONTESTED_SPREAD = 2.5; // Stars between the lowest and highest trusted rating
+const DEFAULT_SOURCE_WEIGHT = 1;
+
+function getSourceWeight(review, weighting) {
+    if (!weighting || !weighting.sources) return DEFAULT_SOURCE_WEIGHT;
+    const source = weighting.sources.find(s =>
+        typeof s === 'object' && isSameSite(review.source, s.domain, weighting.separateSubdomainSites));
+    return source && typeof source.weight === 'number' ? source.weight : DEFAULT_SOURCE_WEIGHT;
+}
+
+// Trusted reviews that carry a rating (some direct adapters only provide a
+// summary) from sources the user hasn't weighted down to zero, leaving out
+// reviews the user flagged as wrong (see applyReviewFlags in sw.js)
+function getRatedReviews(reviews, weighting) {
+    if (!reviews) return [];
+    return reviews.filter(r => r.matchingSource !== false && typeof r.rating === 'number' &&
+        !r.flag && getSourceWeight(r, weighting) > 0);
+}
+
+// Weighted average of trusted ratings
+function calculateRating(reviews, weighting) {
+    const validReviews = getRatedReviews(reviews, weighting);
+    if (validReviews.length === 0) return null;
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    validReviews.forEach(r => {
+        const weight = getSourceWeight(r, weighting);
+        weightedSum += weight * r.rating;
+        totalWeight += weight;
+    });
+    return weightedSum / totalWeight;
+}
+
+// Each rated review's share of the overall score: { weight, share (0-1), points }
+// where the points of all reviews add up to calculateRating's result.
+function calculateContributions(reviews, weighting) {
+    const validReviews = getRatedReviews(reviews, weighting);
+    const totalWeight = validReviews.reduce((acc, r) => acc + getSourceWeight(r, weighting), 0);
+    const contributions = new Map();
+
+    validReviews.forEach(r => {
+        const weight = getSourceWeight(r, weighting);
+        contributions.set(r, {
+            weight,
+            share: weight / totalWeight,
+            points: (weight * r.rating) / totalWeight
+        });
+    });
+    return contributions;
+}
+
+// How much the trusted sources disagree. Returns null with fewer than two ratings.
+function calculateDisagreement(reviews, contestedSpread, weighting) {
+    const ratings = getRatedReviews(reviews, weighting).map(r => r.rating);
+    if (ratings.length < 2) return null;
+
+    const mean = ratings.reduce((acc, r) => acc + r, 0) / ratings.length;
+    const variance = ratings.reduce((acc, r) => acc + (r - mean) * (r - mean), 0) / ratings.length;
+    const min = Math.min(...ratings);
+    const max = Math.max(...ratings);
+    const threshold = contestedSpread !== undefined ? contestedSpread : DEFAULT_CONTESTED_SPREAD;
+
+    return {
+        min,
+        max,
+        spread: max - min,
+        stdDev: Math.sqrt(variance),
+        midpoint: (min + max) / 2,
+        contested: (max - min) >= threshold
+    };
+}
+
+// Which side of a contested rating a review sits on: 'positive', 'negative' or null
+function getDisagreementSide(review, disagreement, weighting) {
+    if (!disagreement || !disagreement.contested) return null;
+    if (!getRatedReviews([review], weighting).length) return null;
+    return review.rating >= disagreement.midpoint ? 'positive' : 'negative';
+}
+
+// The reviews a cache entry is scored on: trusted reviews, plus its open-web
+// reviews (see performReputationQuery in sw.js) if the user counts those too.
+// Trusted reviews keep their identity, so calculateContributions results still
+// map onto entry.reviews.
+function getScoredReviews(entry, includeOpenWeb) {
+    if (!entry) return null;
+    const reviews = entry.reviews || [];
+    if (!includeOpenWeb || !entry.openWebReviews || entry.openWebReviews.length === 0) return reviews;
+    return reviews.concat(entry.openWebReviews.map(r => ({ ...r, matchingSource: true, openWeb: true })));
+}
@@ -0,0 +1,404 @@
+// Rendering of a site's result (review table, trend, other sources and search
+// sources) and of the query queue, shared by the popup and the lookup page.
+// Requires rating.js and i18n.js.
+
+function getStarRatingHtml(rating) {
+    let starsHtml = '<div class="star-rating" style="display: flex; align-items: center;">';
+    for (let i = 1; i <= 5; i++) {
+        let fillPercentage = 0;
+        if (rating >= i) {
+            fillPercentage = 100;
+        } else if (rating > i - 1) {
+            fillPercentage = (rating - (i - 1)) * 100;
+        }
+
+        const gradientId = `star-grad-${i}-${Math.round(Math.random() * 10000)}`;
+
+        starsHtml += `
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <defs>
+                    <linearGradient id="${gradientId}" x1="0%" y1="0%" x2="100%" y2="0%">
+                        <stop offset="${fillPercentage}%" stop-color="#FFC107" />
+                        <stop offset="${fillPercentage}%" stop-color="#E0E0E0" />
+                    </linearGradient>
+                </defs>
+                <path d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z" fill="url(#${gradientId})" stroke="#E0E0E0" stroke-width="1"/>
+            </svg>
+        `;
+    }
+    starsHtml += '</div>';
+    return starsHtml;
+}
+
+// Verification is computed by verifyReviewUrl in sw.js
+const VERIFICATION_MARKS = {
+    'grounded': { mark: '✓', title: getMessage('verificationGrounded') },
+    'same-domain': { mark: '≈', title: getMessage('verificationSameDomain') },
+    'ungrounded': { mark: '⚠', title: getMessage('verificationUngrounded') }
+};
+
+function getVerificationMarkHtml(verification) {
+    const info = VERIFICATION_MARKS[verification];
+    if (!info) return '';
+    return `<span class="verify-mark verify-${verification}" title="${info.title}">${info.mark}</span>`;
+}
+
+function renderSources(sourcesDiv, groundingMetadata) {
+    if (!groundingMetadata) {
+        sourcesDiv.innerHTML = '';
+        sourcesDiv.style.display = 'none';
+        return;
+    }
+
+    sourcesDiv.style.display = 'block';
+
+    const queries = groundingMetadata.webSearchQueries || [];
+    const chunks = groundingMetadata.groundingChunks || [];
+
+    // Titles and links can come from the web (e.g. OpenAI's citations), so
+    // they're set as text and only http(s) links are kept
+    const items = [];
+    const addItem = (url, text) => {
+        const li = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.textContent = text;
+        li.appendChild(link);
+        items.push(li);
+    };
+
+    // Flash/Pro models might have different structures, but typically:
+    // chunks[].web.uri / title
+
+    const seenUrls = new Set();
+
+    // 1. Add Search Queries
+    queries.forEach(query => {
+        addItem(`https://www.google.com/search?q=${encodeURIComponent(query)}`, `🔍 ${getMessage('searchQuery', query)}`);
+    });
+
+    // 2. Add specific Web Sources
+    chunks.forEach(chunk => {
+        if (chunk.web && /^https?:\/\//i.test(chunk.web.uri || '') && chunk.web.title) {
+            if (!seenUrls.has(chunk.web.uri)) {
+                seenUrls.add(chunk.web.uri);
+                addItem(chunk.web.uri, `🔗 ${chunk.web.title}`);
+            }
+        }
+    });
+
+    if (items.length === 0) {
+        sourcesDiv.innerHTML = '';
+        sourcesDiv.style.display = 'none';
+        return;
+    }
+
+    const toggle = document.createElement('div');
+    toggle.className = 'sources-toggle';
+    toggle.textContent = getMessage('searchSources', String(queries.length + seenUrls.size));
+    const list = document.createElement('div');
+    list.className = 'sources-list';
+    const ul = document.createElement('ul');
+    ul.append(...items);
+    list.appendChild(ul);
+    sourcesDiv.replaceChildren(toggle, list);
+
+    toggle.addEventListener('click', () => {
+        const isExpanded = toggle.classList.toggle('expanded');
+        list.classList.toggle('expanded');
+    });
+}
+
+function createDisagreement(reviews, disagreement, weighting) {
+    const sides = { positive: [], negative: [] };
+    reviews.forEach(review => {
+        const side = getDisagreementSide(review, disagreement, weighting);
+        if (side) sides[side].push(review.source);
+    });
+
+    const container = document.createElement('div');
+    container.className = 'disagreement';
+    const title = document.createElement('div');
+    title.className = 'disagreement-title';
+    title.textContent = `⚖ ${getMessage('sourcesDisagree', [disagreement.min.toFixed(1), disagreement.max.toFixed(1), disagreement.stdDev.toFixed(1)])}`;
+    container.appendChild(title);
+    [['positive', '▲'], ['negative', '▼']].forEach(([side, mark]) => {
+        const label = document.createElement('div');
+        label.className = `side-label side-${side}`;
+        label.textContent = `${mark} ${sides[side].join(', ')}`;
+        container.appendChild(label);
+    });
+    return container;
+}
+
+// Sparkline of past overall ratings (from history_<site>, see recordHistory in sw.js)
+function getTrendSvg(points) {
+    const width = 120, height = 24, pad = 3;
+    const xStep = (width - pad * 2) / Math.max(1, points.length - 1);
+    const toY = rating => height - pad - (rating / 5) * (height - pad * 2);
+    const coords = points.map((h, i) => `${(pad + i * xStep).toFixed(1)},${toY(h.rating).toFixed(1)}`);
+    const last = coords[coords.length - 1].split(',');
+
+    return `
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+            <polyline points="${coords.join(' ')}" fill="none" stroke="#90A4AE" stroke-width="1.5" />
+            <circle cx="${last[0]}" cy="${last[1]}" r="2.5" fill="#546E7A" />
+        </svg>
+    `;
+}
+
+function renderTrend(trendDiv, history, ratingChange) {
+    const points = (history || []).filter(h => typeof h.rating === 'number');
+    let html = '';
+
+    if (ratingChange) {
+        const direction = ratingChange.to < ratingChange.from ? 'dropped' : 'rose';
+        const since = new Date(ratingChange.since).toLocaleDateString();
+        const message = getMessage(direction === 'dropped' ? 'ratingDropped' : 'ratingRose',
+            [ratingChange.from.toFixed(1), ratingChange.to.toFixed(1), since]);
+        html += `<div class="rating-change rating-${direction}">${message}</div>`;
+    }
+    if (points.length >= 2) {
+        const first = new Date(points[0].timestamp).toLocaleDateString();
+        html += `<div class="trend" title="${getMessage('trendTitle', [String(points.length), first])}">${getMessage('trendLabel')} ${getTrendSvg(points)}</div>`;
+    }
+
+    trendDiv.innerHTML = html;
+    trendDiv.style.display = html ? 'block' : 'none';
+}
+
+// Feedback control for a review row, showing its current flag if any
+function createFlagSelect(review, onFlag) {
+    const select = document.createElement('select');
+    select.className = 'flag-select';
+    select.title = getMessage('flagTitle');
+    select.add(new Option(getMessage(review.flag ? 'flagClear' : 'flagPrompt'), ''));
+    Object.entries(REVIEW_FLAG_MESSAGES).forEach(([reason, message]) =>
+        select.add(new Option(getMessage(message), reason, false, review.flag === reason)));
+    select.addEventListener('change', () => {
+        select.disabled = true;
+        onFlag(review, select.value || null);
+    });
+    return select;
+}
+
+// Review fields come from the LLM, adapters or (once trusted) any site on the
+// web, so the cells below only ever set them as text. Links open on click (see
+// bindSourceLink) and only for http(s) URLs.
+function createSourceCell(row, review) {
+    const cell = row.insertCell();
+    if (/^https?:\/\//i.test(review.url || '')) {
+        const link = document.createElement('a');
+        link.className = 'source-link';
+        link.dataset.url = review.url;
+        link.dataset.verification = review.verification || 'ungrounded';
+        link.textContent = review.source;
+        bindSourceLink(link);
+        cell.appendChild(link);
+        cell.insertAdjacentHTML('beforeend', getVerificationMarkHtml(review.verification));
+    } else {
+        cell.textContent = review.source;
+    }
+    return cell;
+}
+
+// Some direct adapters (e.g. Wikipedia) provide a summary without a rating
+function createRatingCell(row, review) {
+    const cell = row.insertCell();
+    if (typeof review.rating === 'number') {
+        cell.innerHTML = getStarRatingHtml(review.rating);
+    } else {
+        const noRating = document.createElement('span');
+        noRating.className = 'no-rating';
+        noRating.textContent = getMessage('noRating');
+        cell.appendChild(noRating);
+    }
+    return cell;
+}
+
+function createSummaryCell(row, review) {
+    const cell = row.insertCell();
+    const list = document.createElement('ul');
+    (Array.isArray(review.summary) ? review.summary : [review.summary]).filter(Boolean).forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+    });
+    cell.appendChild(list);
+    return cell;
+}
+
+// scoredReviews (see getScoredReviews) may add open-web reviews to the overall
+// rating, while the table itself only lists trusted sources. onFlag(review,
+// reason), if given, adds feedback controls to each row (a null reason clears).
+function renderReviewTable(resultDiv, reviews, scoredReviews, weighting, contestedSpread, onFlag) {
+    if (!reviews || reviews.length === 0) {
+        resultDiv.textContent = getMessage('noReputationData');
+        return;
+    }
+
+    // Sort: Matching sources first
+    const sortedReviews = [...reviews].sort((a, b) => {
+        // Treat undefined matchingSource as false (or handle legacy data)
+        // Ideally new data has true/false. 
+        // If a is matching/true and b is not, a comes first (-1)
+        const aMatch = a.matchingSource === true;
+        const bMatch = b.matchingSource === true;
+        if (aMatch && !bMatch) return -1;
+        if (!aMatch && bMatch) return 1;
+        return 0;
+    });
+
+    const disagreement = calculateDisagreement(scoredReviews, contestedSpread, weighting);
+    const contributions = calculateContributions(scoredReviews, weighting);
+    const overall = calculateRating(scoredReviews, weighting);
+    const elements = [];
+
+    if (overall !== null) {
+        const overallDiv = document.createElement('div');
+        overallDiv.className = 'overall-rating';
+        overallDiv.textContent = getMessage('overallRating', overall.toFixed(1));
+        elements.push(overallDiv);
+    }
+    if (disagreement && disagreement.contested) elements.push(createDisagreement(scoredReviews, disagreement, weighting));
+
+    const table = document.createElement('table');
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th>${getMessage('columnSource')}</th>
+                <th>${getMessage('columnRating')}</th>
+                <th title="${getMessage('columnWeightTitle')}">${getMessage('columnWeight')}</th>
+                <th>${getMessage('columnSummary')}</th>
+            </tr>
+        </thead>
+    `;
+    const tbody = table.createTBody();
+
+    sortedReviews.forEach(review => {
+        const row = tbody.insertRow();
+        if (review.matchingSource === false) {
+            row.style.backgroundColor = '#f5f5f5';
+            row.style.color = '#777';
+        }
+        const side = getDisagreementSide(review, disagreement, weighting);
+        if (side) row.classList.add(`side-${side}`);
+        if (review.flag) {
+            row.classList.add('flagged');
+            row.title = getMessage('flaggedReviewTitle', getMessage(REVIEW_FLAG_MESSAGES[review.flag]));
+        }
+
+        const sourceCell = createSourceCell(row, review);
+        if (review.adapter) {
+            const adapterTag = document.createElement('div');
+            adapterTag.className = 'adapter-tag';
+            adapterTag.title = getMessage('directAdapterTitle');
+            adapterTag.textContent = getMessage('directAdapter');
+            sourceCell.appendChild(adapterTag);
+        }
+        if (onFlag) sourceCell.appendChild(createFlagSelect(review, onFlag));
+
+        createRatingCell(row, review);
+
+        const contribution = contributions.get(review);
+        const contributionCell = row.insertCell();
+        if (contribution) {
+            contributionCell.innerHTML = `<div class="contribution">×${contribution.weight}</div><div class="contribution-share">${Math.round(contribution.share * 100)}% · +${contribution.points.toFixed(1)}★</div>`;
+        }
+
+        createSummaryCell(row, review);
+    });
+
+    elements.push(table);
+    resultDiv.replaceChildren(...elements);
+}
+
+function bindSourceLink(link) {
+    link.addEventListener('click', (e) => {
+        const url = e.target.getAttribute('data-url');
+        if (!url) return;
+
+        // Ungrounded (or legacy, unchecked) links need a second click to open
+        const verified = ['grounded', 'same-domain'].includes(link.dataset.verification);
+        if (!verified && !link.classList.contains('armed')) {
+            link.classList.add('armed');
+            const warning = document.createElement('div');
+            warning.className = 'unverified-warning';
+            warning.textContent = getMessage('unverifiedLinkWarning');
+            link.parentElement.appendChild(warning);
+            return;
+        }
+        chrome.tabs.create({ url: url });
+    });
+}
+
+// Reviews from sources outside the trusted list (open-web mode, see
+// performReputationQuery in sw.js), collapsed by default. elements holds the
+// { container, summary, list } of a <details>, and onTrust(review) is called
+// when one of them is trusted.
+function renderOpenWeb(elements, openWebReviews, countOpenWebInBadge, onTrust) {
+    const { container: openWebContainer, summary: openWebSummary, list: openWebList } = elements;
+    if (!openWebReviews || openWebReviews.length === 0) {
+        openWebContainer.style.display = 'none';
+        openWebList.innerHTML = '';
+        return;
+    }
+
+    openWebContainer.style.display = 'block';
+    openWebSummary.textContent = getMessage(countOpenWebInBadge ? 'otherSources' : 'otherSourcesNotCounted',
+        String(openWebReviews.length));
+
+    const tbody = document.createElement('tbody');
+    openWebReviews.forEach(review => {
+        const row = tbody.insertRow();
+
+        const trustBtn = document.createElement('button');
+        trustBtn.className = 'trust-btn';
+        trustBtn.title = getMessage('trustSourceTitle', review.source);
+        trustBtn.textContent = getMessage('trustSource');
+        trustBtn.addEventListener('click', () => {
+            trustBtn.disabled = true;
+            onTrust(review);
+        });
+        createSourceCell(row, review).appendChild(trustBtn);
+        createRatingCell(row, review);
+        createSummaryCell(row, review);
+    });
+
+    const table = document.createElement('table');
+    table.appendChild(tbody);
+    openWebList.replaceChildren(table);
+}
+
+function describeTask(task) {
+    const wait = task.nextRetryTime ? Math.ceil((task.nextRetryTime - Date.now()) / 1000) : 0;
+    if (wait > 0) {
+        return task.waitingForRateLimit
+            ? getMessage('taskRateLimited', String(wait))
+            : getMessage('taskRetrying', [String(wait), String(task.retryAttempts + 1)]);
+    }
+    return getMessage('taskQuerying');
+}
+
+function renderQueue(queueDiv, status) {
+    const activeTasks = status.activeTasks || [];
+    const queue = status.queue || [];
+
+    let content = '';
+    if (status.budgetPause) {
+        const { budget, spent } = status.budgetPause;
+        content += `<div class="budget-paused">${getMessage('budgetPaused', [`$${budget.toFixed(2)}`, `$${spent.toFixed(2)}`])}</div>`;
+    }
+    if (status.lastError) {
+        content += `<div style="color: #d32f2f;">${getMessage('errorMessage', status.lastError)}</div>`;
+    }
+    if (activeTasks.length > 0) {
+        const rows = activeTasks.map(t => `<li><span class="task-host">${t.hostname}</span>: ${describeTask(t)}</li>`).join('');
+        content += `<ul class="task-list">${rows}</ul>`;
+    }
+    if (queue.length > 0) {
+        content += `<div>${getMessage('queuedHosts', queue.map(t => t.hostname).join(', '))}</div>`;
+    }
+    queueDiv.innerHTML = content;
+}
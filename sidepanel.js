@@ -0,0 +1,174 @@
+// Side panel overview of the browsing session: every open tab's site and the
+// sites visited recently (see getSessionOverview in sw.js), with their badges
+// and the query queue, kept current while browsing.
+const queueDiv = document.getElementById('queue-status');
+const openRows = document.getElementById('open-rows');
+const recentRows = document.getElementById('recent-rows');
+const openEmpty = document.getElementById('open-empty');
+const recentEmpty = document.getElementById('recent-empty');
+
+const RELOAD_DELAY_MS = 300; // Tab and storage events come in bursts
+const RELEVANT_SETTINGS = ['sources', 'separateSubdomainSites', 'positiveThreshold', 'negativeThreshold', 'contestedSpread', 'countOpenWebInBadge', 'lastSettingsChange'];
+
+let rows = [];
+let settings = {};
+let status = {};
+const expandedHosts = new Set();
+let reloadTimer = null;
+let countdownInterval = null;
+
+function getPendingState(hostname) {
+    const task = (status.activeTasks || []).find(t => t.hostname === hostname);
+    if (task) return describeTask(task);
+    return (status.queue || []).some(t => t.hostname === hostname) ? getMessage('rowQueued') : null;
+}
+
+function describeRow(row) {
+    const pending = getPendingState(row.hostname);
+    if (pending) return { text: pending, pending: true };
+    if (row.badge && row.badge.verdict) return { text: getMessage('rowVerdict', row.badge.rating.toFixed(1)), pending: false };
+    if (!row.entry) return { text: getMessage('rowNotChecked'), pending: false };
+    if (!row.badge) return { text: getMessage('rowNoRatings'), pending: false };
+    return { text: getMessage(row.entry.isStale ? 'rowRatingStale' : 'rowRating', row.badge.rating.toFixed(1)), pending: false };
+}
+
+function focusTab(tab) {
+    chrome.tabs.update(tab.id, { active: true });
+    chrome.windows.update(tab.windowId, { focused: true });
+}
+
+// The panel reloads once the cache entry is updated
+function flagReview(hostname, review, reason) {
+    chrome.runtime.sendMessage({ type: 'FLAG_REVIEW', hostname, source: review.source, reason });
+}
+
+function renderDetails(container, row) {
+    container.innerHTML = '';
+
+    if (row.tabs.length > 0) {
+        const tabList = document.createElement('ul');
+        tabList.className = 'site-tabs';
+        row.tabs.forEach(tab => {
+            const li = document.createElement('li');
+            const link = document.createElement('a');
+            link.textContent = tab.title || tab.hostname;
+            link.title = getMessage('switchToTab');
+            link.onclick = () => focusTab(tab);
+            li.appendChild(link);
+            tabList.appendChild(li);
+        });
+        container.appendChild(tabList);
+    }
+
+    const resultDiv = document.createElement('div');
+    container.appendChild(resultDiv);
+    if (!row.entry) {
+        resultDiv.textContent = getMessage('noResult');
+        return;
+    }
+    const weighting = { sources: settings.sources || [], separateSubdomainSites: settings.separateSubdomainSites };
+    renderReviewTable(resultDiv, row.entry.reviews, getScoredReviews(row.entry, settings.countOpenWebInBadge === true),
+        weighting, settings.contestedSpread, (review, reason) => flagReview(row.hostname, review, reason));
+}
+
+function createRow(row) {
+    const details = document.createElement('details');
+    details.className = 'site-row';
+    details.open = expandedHosts.has(row.hostname);
+
+    const summary = document.createElement('summary');
+    const badge = document.createElement('span');
+    badge.className = 'site-badge';
+    badge.textContent = row.badge ? row.badge.text : '–';
+    if (row.badge) badge.style.backgroundColor = row.badge.color;
+
+    const host = document.createElement('span');
+    host.className = 'site-host';
+    host.textContent = row.hostname;
+
+    const state = describeRow(row);
+    const stateSpan = document.createElement('span');
+    stateSpan.className = state.pending ? 'site-state pending' : 'site-state';
+    stateSpan.textContent = row.tabs.length > 1 ? getMessage('rowTabs', [state.text, String(row.tabs.length)]) : state.text;
+
+    summary.appendChild(badge);
+    summary.appendChild(host);
+    summary.appendChild(stateSpan);
+    details.appendChild(summary);
+
+    // Review tables are only built for expanded rows
+    const body = document.createElement('div');
+    body.className = 'site-details';
+    details.appendChild(body);
+    if (details.open) renderDetails(body, row);
+
+    details.addEventListener('toggle', () => {
+        if (details.open) {
+            expandedHosts.add(row.hostname);
+            renderDetails(body, row);
+        } else {
+            expandedHosts.delete(row.hostname);
+        }
+    });
+    return details;
+}
+
+function renderRows() {
+    const open = rows.filter(r => r.tabs.length > 0);
+    const recent = rows.filter(r => r.tabs.length === 0 && r.visited)
+        .sort((a, b) => b.visited - a.visited);
+
+    openRows.replaceChildren(...open.map(createRow));
+    recentRows.replaceChildren(...recent.map(createRow));
+    openEmpty.hidden = open.length > 0;
+    recentEmpty.hidden = recent.length > 0;
+}
+
+function renderStatus(newStatus) {
+    status = newStatus;
+    // Re-render every second while any task is counting down to a retry
+    clearInterval(countdownInterval);
+    if ((status.activeTasks || []).some(t => t.nextRetryTime > Date.now())) {
+        countdownInterval = setInterval(() => renderQueue(queueDiv, status), 1000);
+    }
+    renderQueue(queueDiv, status);
+    renderRows();
+}
+
+async function loadRows() {
+    settings = await chrome.storage.sync.get(RELEVANT_SETTINGS);
+    const response = await chrome.runtime.sendMessage({ type: 'GET_SESSION_OVERVIEW' });
+    rows = (response && response.rows) || [];
+    renderRows();
+}
+
+function scheduleReload() {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(loadRows, RELOAD_DELAY_MS);
+}
+
+chrome.runtime.onMessage.addListener((request) => {
+    if (request.type === 'STATUS_UPDATE') renderStatus(request);
+});
+
+// Results land in storage.local, visits in storage.session
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    const keys = Object.keys(changes);
+    if ((areaName === 'local' && keys.some(key => key.startsWith('cache_') || key === 'verdicts')) ||
+        (areaName === 'session' && changes.recentHosts) ||
+        (areaName === 'sync' && keys.some(key => RELEVANT_SETTINGS.includes(key)))) {
+        scheduleReload();
+    }
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.url || changeInfo.title) scheduleReload();
+});
+chrome.tabs.onRemoved.addListener(scheduleReload);
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadRows();
+    chrome.runtime.sendMessage({ type: 'GET_STATUS' }, (response) => {
+        if (response) renderStatus(response);
+    });
+});
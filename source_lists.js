@@ -0,0 +1,89 @@
+// Shared source lists: parsing and merging for import (options.js) and
+// subscriptions (sw.js). Requires domain.js.
+//
+// A list is either an array of domains / { domain, state, weight } objects, or
+// the options page export: { format, sources: [...], settings: {...} }.
+
+const SOURCE_LIST_FORMAT = 'sitevouch-settings';
+const SOURCE_STATES = ['on', 'auto', 'off'];
+
+function parseSourceList(data) {
+    const items = Array.isArray(data) ? data : (data && Array.isArray(data.sources) ? data.sources : null);
+    if (!items) {
+        throw new Error('Not a source list: expected an array or an object with a "sources" array');
+    }
+
+    const parsed = [];
+    items.forEach(item => {
+        const value = typeof item === 'string' ? item : item && item.domain;
+        const domain = typeof value === 'string' ? normalizeHostname(value) : null;
+        if (!domain) return;
+
+        const entry = {
+            domain: domain.replace(/^www\./, ''),
+            state: SOURCE_STATES.includes(item.state) ? item.state : 'auto',
+            weight: typeof item.weight === 'number' && item.weight >= 0 ? item.weight : 1
+        };
+        if (!parsed.some(p => p.domain === entry.domain)) parsed.push(entry);
+    });
+    return parsed;
+}
+
+// Merges listed sources into the user's own. Sources the user already has keep
+// their state, weight and visit count. With a subscriptionUrl, merged entries
+// are tagged with it, and entries the subscription added but no longer lists
+// are dropped, unless they've been visited (at which point they're the user's).
+// Returns { sources, added, removed }.
+function mergeSourceList(sources, listed, subscriptionUrl) {
+    const merged = sources.map(s => ({ ...s }));
+    let added = 0;
+
+    listed.forEach(item => {
+        const existing = merged.find(s => isSameSite(s.domain, item.domain));
+        if (existing) {
+            if (subscriptionUrl && !(existing.subscriptions || []).includes(subscriptionUrl)) {
+                existing.subscriptions = (existing.subscriptions || []).concat(subscriptionUrl);
+            }
+            return;
+        }
+
+        const entry = { domain: item.domain, state: item.state, visits: 0, weight: item.weight };
+        if (subscriptionUrl) {
+            entry.subscriptions = [subscriptionUrl];
+            entry.addedBy = 'subscription';
+        }
+        merged.push(entry);
+        added++;
+    });
+
+    if (!subscriptionUrl) return { sources: merged, added, removed: 0 };
+
+    const result = merged.filter(s => {
+        if (!(s.subscriptions || []).includes(subscriptionUrl)) return true;
+        if (listed.some(item => isSameSite(s.domain, item.domain))) return true;
+
+        s.subscriptions = s.subscriptions.filter(url => url !== subscriptionUrl);
+        if (s.subscriptions.length > 0) return true;
+        delete s.subscriptions;
+        return s.addedBy !== 'subscription' || (s.visits || 0) > 0;
+    });
+    return { sources: result, added, removed: merged.length - result.length };
+}
+
+// Which lists each source came from is kept in storage.local (subscribedSources,
+// { domain: [subscription URLs] }) rather than on the synced sources, whose
+// item has to stay under the sync quota. Sources from before keep their tags.
+function attachSubscriptions(sources, subscribedSources) {
+    const subscribed = subscribedSources || {};
+    return sources.map(s => subscribed[s.domain] ? { ...s, subscriptions: subscribed[s.domain] } : s);
+}
+
+// Splits merged sources back into { sources, subscribedSources } for storage
+function detachSubscriptions(sources) {
+    const subscribedSources = {};
+    const stripped = sources.map(({ subscriptions, ...source }) => {
+        if (subscriptions && subscriptions.length > 0) subscribedSources[source.domain] = subscriptions;
+        return source;
+    });
+    return { sources: stripped, subscribedSources };
+}
@@ -0,0 +1,100 @@
+// Reputation subjects, shared by the service worker (importScripts) and the
+// popup. On aggregator platforms the account or community behind a page
+// matters more than the platform, so pages matching SUBJECT_RULES are also
+// looked up under a subject key like "youtube.com/@name" or "reddit.com/r/name".
+// Subject keys are cached and queued exactly like site keys. Requires domain.js.
+
+// First path segments that are GitHub / Medium features rather than accounts
+const GITHUB_RESERVED_PATHS = ['about', 'apps', 'codespaces', 'collections', 'contact', 'customer-stories', 'enterprise', 'events', 'explore', 'features', 'home', 'issues', 'join', 'login', 'logout', 'marketplace', 'new', 'notifications', 'organizations', 'pricing', 'pulls', 'search', 'security', 'sessions', 'settings', 'signup', 'site', 'sponsors', 'team', 'topics', 'trending'];
+const MEDIUM_RESERVED_PATHS = ['about', 'creators', 'jobs-at-medium', 'm', 'me', 'membership', 'p', 'plans', 'policy', 'search', 'tag', 'topics'];
+// Medium's own subdomains, which aren't author pages
+const MEDIUM_SERVICE_HOSTS = ['api', 'blog', 'cdn', 'cdn-images-1', 'cdn-images-2', 'cdn-static-1', 'design', 'email', 'engineering', 'glyph', 'help', 'link', 'miro', 'policy', 'press', 'speakers', 'status', 'support'];
+
+// Each rule maps a URL on its site to { kind, name, path }, where path (the
+// part of the key after the site) must map back to the same subject.
+const SUBJECT_RULES = {
+    'youtube.com': (url) => {
+        let m = url.pathname.match(/^\/(@[\w.-]+)/);
+        if (m) return { kind: 'YouTube channel', name: m[1].toLowerCase(), path: m[1].toLowerCase() };
+        // Channel IDs are case-sensitive
+        m = url.pathname.match(/^\/channel\/(UC[\w-]+)/);
+        if (m) return { kind: 'YouTube channel', name: m[1], path: `channel/${m[1]}` };
+        m = url.pathname.match(/^\/(c|user)\/([\w.-]+)/);
+        if (m) return { kind: 'YouTube channel', name: m[2].toLowerCase(), path: `${m[1]}/${m[2].toLowerCase()}` };
+        return null;
+    },
+    'reddit.com': (url) => {
+        let m = url.pathname.match(/^\/r\/(\w+)/);
+        if (m) return { kind: 'subreddit', name: `r/${m[1].toLowerCase()}`, path: `r/${m[1].toLowerCase()}` };
+        m = url.pathname.match(/^\/(?:u|user)\/([\w-]+)/);
+        if (m) return { kind: 'Reddit user', name: `u/${m[1].toLowerCase()}`, path: `user/${m[1].toLowerCase()}` };
+        return null;
+    },
+    'github.com': (url) => {
+        // docs., gist., education. etc. aren't laid out by account
+        if (!['github.com', 'www.github.com'].includes(url.hostname)) return null;
+        const segments = url.pathname.split('/').filter(Boolean).map(s => s.toLowerCase());
+        // Organization pages (orgs/name/people etc.) are about the account itself
+        const [owner, repo] = segments[0] === 'orgs' ? [segments[1]] : segments;
+        if (!owner || GITHUB_RESERVED_PATHS.includes(owner) || !/^[a-z0-9-]+$/.test(owner)) return null;
+        if (repo && /^[\w.-]+$/.test(repo)) {
+            return { kind: 'GitHub repository', name: `${owner}/${repo}`, path: `${owner}/${repo}` };
+        }
+        return { kind: 'GitHub account', name: owner, path: owner };
+    },
+    'medium.com': (url) => {
+        // name.medium.com is the same author as medium.com/@name
+        const sub = url.hostname.replace(/^www\./, '').replace(/\.?medium\.com$/, '');
+        if (sub) {
+            if (!/^[\w-]+$/.test(sub) || MEDIUM_SERVICE_HOSTS.includes(sub)) return null;
+            return { kind: 'Medium author', name: `@${sub}`, path: `@${sub}` };
+        }
+
+        let m = url.pathname.match(/^\/(@[\w.-]+)/);
+        if (m) return { kind: 'Medium author', name: m[1].toLowerCase(), path: m[1].toLowerCase() };
+        m = url.pathname.match(/^\/([\w-]+)(?:\/|$)/);
+        if (m && !MEDIUM_RESERVED_PATHS.includes(m[1].toLowerCase())) {
+            return { kind: 'Medium publication', name: m[1].toLowerCase(), path: m[1].toLowerCase() };
+        }
+        return null;
+    }
+};
+
+// Returns { key, site, kind, name, url } for a page on a known platform, otherwise null
+function getSubject(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+    const site = getRegistrableDomain(url.hostname);
+    const rule = SUBJECT_RULES[site];
+    const match = rule ? rule(url) : null;
+    if (!match) return null;
+
+    const key = `${site}/${match.path}`;
+    return { key, site, kind: match.kind, name: match.name, url: `https://${key}` };
+}
+
+function isSubjectKey(key) {
+    return !!key && key.includes('/');
+}
+
+// Subject keys are valid URL paths that map back to themselves
+function parseSubjectKey(key) {
+    return isSubjectKey(key) ? getSubject(`https://${key}`) : null;
+}
+
+// The key a tab's badge shows: its subject if it has one, otherwise its site
+function getBadgeKey(url, separateSubdomainSites) {
+    const subject = getSubject(url);
+    if (subject) return subject.key;
+    try {
+        return getSiteKey(new URL(url).hostname, separateSubdomainSites);
+    } catch (e) {
+        return null;
+    }
+}
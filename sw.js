@@ -1,66 +1,100 @@
 // background.js
 
+importScripts('public_suffix_list.js', 'domain.js', 'subjects.js', 'rating.js', 'adapters.js', 'source_lists.js', 'link_markers.js');
+
 const CACHE_STALE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
 const CACHE_EXPIRE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const HISTORY_EXPIRE_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+const HISTORY_MAX_ENTRIES = 20;
+const DEFAULT_SHARP_CHANGE = 1.5; // Stars between consecutive results
 
-// In-memory queue
+// Queue state. Mirrored to chrome.storage.session (see saveQueueState) because
+// MV3 stops the service worker when idle, which would otherwise drop pending work.
 let queryQueue = [];
 
-let currentTask = null; // The task currently being processed
+let activeTasks = []; // Tasks holding a concurrency slot (in flight, or waiting on a retry / the rate limit)
 let lastError = null; // Store the last error that occurred during processing
-
-function calculateRating(reviews) {
-    if (!reviews || reviews.length === 0) return null;
-
-    // Filter out non-matching sources
-    const validReviews = reviews.filter(r => r.matchingSource !== false);
-
-    if (validReviews.length === 0) return null;
-
-    const sum = validReviews.reduce((acc, r) => acc + (r.rating || 0), 0);
-    return sum / validReviews.length;
+let requestLog = []; // Start times of backend requests within the rate limit window
+let budgetPause = null; // { budget, spent } while queries are paused by the monthly budget
+const runningHosts = new Set(); // Hosts with a request in flight in this worker instance (never persisted)
+
+const QUEUE_STATE_KEY = 'queueState';
+const RETRY_ALARM = 'retryQueue';
+const RATE_WINDOW_MS = 60 * 1000;
+const DEFAULT_MAX_CONCURRENT = 2;
+const DEFAULT_REQUESTS_PER_MINUTE = 10;
+const BUDGET_ALARM = 'budgetReset';
+const SUBSCRIPTION_ALARM = 'refreshSubscriptions';
+const SUBSCRIPTION_REFRESH_MINUTES = 24 * 60;
+const SUBSCRIPTION_TIMEOUT_MS = 15000;
+const MAX_LOW_PRIORITY_QUEUED = 20; // Link markers mustn't be able to queue a whole page's worth of queries
+
+const queueStateReady = loadQueueState();
+
+// Tabs showing a site or subject key (see getBadgeKey)
+async function getTabIdsShowing(hostname) {
+    const { separateSubdomainSites } = await chrome.storage.sync.get(['separateSubdomainSites']);
+    const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+    return tabs.filter(t => getBadgeKey(t.url, separateSubdomainSites) === hostname).map(t => t.id);
 }
 
-async function updateBadgesForHostname(hostname, reviews) {
+async function updateBadgesForHostname(hostname, entry) {
     if (!hostname) return;
     try {
-        const tabs = await chrome.tabs.query({ url: `*://${hostname}/*` });
-        if (tabs && tabs.length > 0) {
-            const tabIds = tabs.map(t => t.id);
-            await updateBadgeForRating(tabIds, reviews);
-        }
+        const tabIds = await getTabIdsShowing(hostname);
+        if (tabIds.length > 0) await updateBadgeForRating(tabIds, entry, hostname);
     } catch (e) {
         console.error("Broadcast Badge Error", e);
     }
 }
 
-// Helper: Determine badge from avg rating
-async function updateBadgeForRating(tabIdsInput, reviews) {
-    if (!tabIdsInput) {
-        console.error("updateBadgeForRating called without tabIds");
-        return;
-    }
-    const tabIds = Array.isArray(tabIdsInput) || tabIdsInput instanceof Set ? Array.from(tabIdsInput) : [tabIdsInput];
-
-    if (tabIds.length === 0) return;
+// Source weights for calculateRating (see rating.js)
+async function getWeighting() {
+    const { sources, separateSubdomainSites } = await chrome.storage.sync.get(['sources', 'separateSubdomainSites']);
+    return { sources: migrateSources(sources), separateSubdomainSites };
+}
 
-    if (!reviews || reviews.length === 0) {
-        // Clear badge if no data
-        for (const tid of tabIds) {
-            await chrome.action.setBadgeText({ text: "", tabId: tid }).catch(() => { });
+// Re-evaluate every open tab's badge from the cache, e.g. after weights or thresholds change
+async function refreshAllBadges() {
+    try {
+        const { separateSubdomainSites } = await chrome.storage.sync.get(['separateSubdomainSites']);
+        const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+        for (const tab of tabs) {
+            const key = getBadgeKey(tab.url, separateSubdomainSites);
+            await updateBadgeForRating(tab.id, await getFromCache(key), key);
         }
-        return;
+    } catch (e) {
+        console.error("Badge Refresh Error", e);
     }
+}
+
+// The badge for a site or subject key and its cache entry (if any):
+// { text, color, rating, negative, reviews, weighting, verdict }, or null if it
+// has no (rated) data. verdict is set when the user's own rating (see
+// setVerdict) overrides the sources'. Shared by tab badges and link markers.
+async function getBadgeState(entry, hostname = entry && entry.hostname) {
+    const { positiveThreshold, negativeThreshold, contestedSpread, countOpenWebInBadge } =
+        await chrome.storage.sync.get(['positiveThreshold', 'negativeThreshold', 'contestedSpread', 'countOpenWebInBadge']);
+    const weighting = await getWeighting();
+    const reviews = getScoredReviews(entry, countOpenWebInBadge === true);
+    const stored = hostname ? await getVerdict(hostname) : null;
+    const verdict = stored && typeof stored.rating === 'number' ? stored : null;
+
+    const rating = verdict ? verdict.rating : calculateRating(reviews, weighting);
+    if (rating === null) return null;
 
-    const { positiveThreshold, negativeThreshold } = await chrome.storage.sync.get(['positiveThreshold', 'negativeThreshold']);
     const posThresh = positiveThreshold !== undefined ? positiveThreshold : 4.0;
     const negThresh = negativeThreshold !== undefined ? negativeThreshold : 2.5;
+    const disagreement = verdict ? null : calculateDisagreement(reviews, contestedSpread, weighting);
 
-    const rating = calculateRating(reviews);
     let text = "∓";
     let color = "#FFEE58"; // Yellow-ish
 
-    if (rating >= posThresh) {
+    // Sources strongly disagree, so the average would hide the real story
+    if (disagreement && disagreement.contested) {
+        text = "⚖";
+        color = "#CE93D8"; // Purple
+    } else if (rating >= posThresh) {
         text = "👍";
         color = "#66BB6A"; // Green
     } else if (rating <= negThresh) {
@@ -68,17 +102,289 @@ async function updateBadgeForRating(tabIdsInput, reviews) {
         color = "#EF5350"; // Red
     }
 
+    return { text, color, rating, negative: rating <= negThresh, reviews, weighting, verdict };
+}
+
+// Helper: Determine badge from avg rating of a cache entry (or clear it for null),
+// unless the user's verdict on the key overrides it
+async function updateBadgeForRating(tabIdsInput, entry, hostname = entry && entry.hostname) {
+    if (!tabIdsInput) {
+        console.error("updateBadgeForRating called without tabIds");
+        return;
+    }
+    const tabIds = Array.isArray(tabIdsInput) || tabIdsInput instanceof Set ? Array.from(tabIdsInput) : [tabIdsInput];
+
+    if (tabIds.length === 0) return;
+
+    const badge = await getBadgeState(entry, hostname);
+    if (!badge) {
+        // Clear badge if no (rated) data
+        for (const tid of tabIds) {
+            await chrome.action.setBadgeText({ text: "", tabId: tid }).catch(() => { });
+        }
+        return;
+    }
+
     try {
         for (const tid of tabIds) {
             await chrome.action.setBadgeTextColor({ color: "#000000", tabId: tid }).catch(() => { });
-            await chrome.action.setBadgeText({ text: text, tabId: tid }).catch(() => { });
-            await chrome.action.setBadgeBackgroundColor({ color: color, tabId: tid }).catch(() => { });
+            await chrome.action.setBadgeText({ text: badge.text, tabId: tid }).catch(() => { });
+            await chrome.action.setBadgeBackgroundColor({ color: badge.color, tabId: tid }).catch(() => { });
         }
     } catch (e) {
         // Tab likely closed
     }
 }
 
+// ---------------------------------------------------------
+// Warning Banner Logic
+// ---------------------------------------------------------
+
+const MAX_WARNING_REASONS = 3;
+const DISMISSED_WARNINGS_KEY = 'dismissedWarnings'; // storage.local: { site key: timestamp }
+const BANNER_TABS_KEY = 'bannerTabs'; // storage.session: { tab id: key warned about in its current page }
+
+// The first bullet of the lowest rated trusted reviews, heaviest source first on ties
+function getWarningReasons(reviews, weighting) {
+    return getRatedReviews(reviews, weighting)
+        .filter(r => r.summary && r.summary.length > 0)
+        .sort((a, b) => a.rating - b.rating || getSourceWeight(b, weighting) - getSourceWeight(a, weighting))
+        .slice(0, MAX_WARNING_REASONS)
+        .map(r => ({ source: r.source, summary: r.summary[0] }));
+}
+
+// Opt-in (showWarningBanner), and needs host permission to inject banner.js,
+// which the options page requests when it's turned on. Tabs it can't reach
+// (e.g. the Web Store) just keep the badge. Called when a page loads and when a
+// lookup finishes, and injects at most once per page load (see
+// clearBannerTab), since the banner stays up until the page goes away.
+async function showWarningBanners(tabIds, hostname, entry) {
+    const { showWarningBanner } = await chrome.storage.sync.get(['showWarningBanner']);
+    if (showWarningBanner !== true || !entry) return;
+
+    const { [DISMISSED_WARNINGS_KEY]: dismissed } = await chrome.storage.local.get([DISMISSED_WARNINGS_KEY]);
+    if (dismissed && dismissed[hostname]) return;
+
+    // The user doesn't need warning about a site they've rated themselves
+    const badge = await getBadgeState(entry, hostname);
+    if (!badge || !badge.negative || badge.verdict) return;
+
+    const { [BANNER_TABS_KEY]: bannerTabs = {} } = await chrome.storage.session.get(BANNER_TABS_KEY);
+    const newTabIds = tabIds.filter(tabId => bannerTabs[tabId] !== hostname);
+    if (newTabIds.length === 0) return;
+    newTabIds.forEach(tabId => bannerTabs[tabId] = hostname);
+    await chrome.storage.session.set({ [BANNER_TABS_KEY]: bannerTabs });
+
+    const warning = { hostname, rating: badge.rating, reasons: getWarningReasons(badge.reviews, badge.weighting) };
+    for (const tabId of newTabIds) {
+        try {
+            await chrome.scripting.insertCSS({ target: { tabId }, files: ['banner.css'] });
+            await chrome.scripting.executeScript({ target: { tabId }, files: ['banner.js'] });
+            await chrome.scripting.executeScript({
+                target: { tabId },
+                func: (w) => showSiteVouchWarning(w),
+                args: [warning]
+            });
+        } catch (e) {
+            console.log(`No warning banner in tab ${tabId}: ${e.message}`);
+        }
+    }
+}
+
+// A new page load (or a closed tab) needs the banner injected again. Returns
+// whether the tab had one.
+async function clearBannerTab(tabId) {
+    const { [BANNER_TABS_KEY]: bannerTabs } = await chrome.storage.session.get(BANNER_TABS_KEY);
+    if (!bannerTabs || !(tabId in bannerTabs)) return false;
+    delete bannerTabs[tabId];
+    await chrome.storage.session.set({ [BANNER_TABS_KEY]: bannerTabs });
+    return true;
+}
+
+// A single-page app moving on to another subject keeps the page, banner and all
+async function removeWarningBanner(tabId) {
+    if (!await clearBannerTab(tabId)) return;
+    try {
+        await chrome.scripting.executeScript({ target: { tabId }, func: () => hideSiteVouchWarning() });
+    } catch (e) {
+        console.log(`No warning banner to remove in tab ${tabId}: ${e.message}`);
+    }
+}
+
+async function dismissWarning(hostname) {
+    const { [DISMISSED_WARNINGS_KEY]: dismissed } = await chrome.storage.local.get([DISMISSED_WARNINGS_KEY]);
+    await chrome.storage.local.set({ [DISMISSED_WARNINGS_KEY]: { ...dismissed, [hostname]: Date.now() } });
+}
+
+// ---------------------------------------------------------
+// Notification Logic
+// ---------------------------------------------------------
+
+const NOTIFICATION_PREFIX = 'bad-site|'; // Notification IDs are bad-site|<tab id>|<site key>
+
+// Quiet hours are "HH:MM" times (unset means none), and may span midnight
+function isQuietTime(date, start, end) {
+    if (!start || !end || start === end) return false;
+    const now = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Opt-in (notifyBadSites). A lookup can take a minute, so by the time a bad
+// result lands the user may already be typing into the site: tell them if it's
+// still open. Incognito tabs are left out so their sites don't show up in the
+// system's notification list. previous is the cached entry the lookup replaced:
+// refreshing a site that was already bad isn't news.
+async function notifyBadSite(hostname, entry, previous) {
+    const settings = await chrome.storage.sync.get(['notifyBadSites', 'mutedNotificationHosts', 'quietHoursStart', 'quietHoursEnd', 'separateSubdomainSites']);
+    if (settings.notifyBadSites !== true || !entry) return;
+    if (isQuietTime(new Date(), settings.quietHoursStart, settings.quietHoursEnd)) return;
+
+    // Muted hosts are patterns like the never-check list, matched by the subject's site
+    const site = normalizeHostname(hostname);
+    if ((settings.mutedNotificationHosts || []).some(p => matchesHostPattern(site, p))) return;
+
+    const badge = await getBadgeState(entry);
+    if (!badge || !badge.negative || badge.verdict) return;
+    if (previous) {
+        const before = await getBadgeState(previous);
+        if (before && before.negative) return;
+    }
+
+    const tabs = (await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] }))
+        .filter(t => !t.incognito && getBadgeKey(t.url, settings.separateSubdomainSites) === hostname);
+    if (tabs.length === 0) return;
+    const tab = tabs.find(t => t.active) || tabs[0];
+
+    const reason = getWarningReasons(badge.reviews, badge.weighting)[0];
+    await chrome.notifications.create(`${NOTIFICATION_PREFIX}${tab.id}|${hostname}`, {
+        type: 'basic',
+        iconUrl: 'icons/SiteVouch128.png',
+        title: chrome.i18n.getMessage('notificationTitle', [hostname, badge.rating.toFixed(1)]),
+        message: reason ? `${reason.source}: ${reason.summary}` : chrome.i18n.getMessage('notificationNoReasons'),
+        contextMessage: chrome.i18n.getMessage('notificationContext'),
+        buttons: [{ title: chrome.i18n.getMessage('notificationMute', site) }]
+    }).catch(e => console.error("Notification Error", e));
+}
+
+// Returns { tabId, hostname } for one of our notifications, otherwise null
+function parseNotificationId(notificationId) {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return null;
+    const [tabId, hostname] = notificationId.slice(NOTIFICATION_PREFIX.length).split('|');
+    return { tabId: parseInt(tabId, 10), hostname };
+}
+
+async function muteNotifications(hostname) {
+    const site = normalizeHostname(hostname);
+    const { mutedNotificationHosts } = await chrome.storage.sync.get(['mutedNotificationHosts']);
+    const muted = mutedNotificationHosts || [];
+    if (!muted.includes(site)) await chrome.storage.sync.set({ mutedNotificationHosts: [...muted, site] });
+}
+
+// Brings the tab forward with the popup open, or the lookup page if it was closed since
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+    const target = parseNotificationId(notificationId);
+    if (!target) return;
+    chrome.notifications.clear(notificationId);
+
+    const tab = await chrome.tabs.get(target.tabId).catch(() => null);
+    if (!tab) {
+        await chrome.tabs.create({ url: chrome.runtime.getURL(`lookup.html?host=${encodeURIComponent(target.hostname)}`) });
+        return;
+    }
+    await chrome.tabs.update(tab.id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    chrome.action.openPopup({ windowId: tab.windowId }).catch(e => console.error("Open Popup Error", e));
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId) => {
+    const target = parseNotificationId(notificationId);
+    if (!target) return;
+    chrome.notifications.clear(notificationId);
+    muteNotifications(target.hostname);
+});
+
+// ---------------------------------------------------------
+// Link Marker Logic
+// ---------------------------------------------------------
+
+const MAX_MARKER_SUMMARY_SOURCES = 5;
+
+// Hover text for a link marker: the overall rating, then each trusted source's
+// first bullet, heaviest source first
+function describeLinkMarker(key, badge) {
+    const lines = [chrome.i18n.getMessage('linkMarkerTitle', [key, badge.rating.toFixed(1)])];
+    if (badge.verdict) {
+        lines.push(badge.verdict.note
+            ? chrome.i18n.getMessage('linkMarkerVerdictNote', badge.verdict.note)
+            : chrome.i18n.getMessage('linkMarkerVerdict'));
+        return lines.join('\n');
+    }
+    getRatedReviews(badge.reviews, badge.weighting)
+        .sort((a, b) => getSourceWeight(b, badge.weighting) - getSourceWeight(a, badge.weighting))
+        .slice(0, MAX_MARKER_SUMMARY_SOURCES)
+        .forEach(r => lines.push(`${r.source} (${r.rating}): ${(r.summary || [])[0] || ''}`));
+    return lines.join('\n');
+}
+
+// Markers for the links annotate.js found in a tab. Returns { keys, markers }:
+// keys maps each url to its site or subject key (links within the page's own
+// site are left out) and markers maps each key to { text, color, summary }, or
+// null if it has no rated result yet. With queueMissing, keys without a fresh
+// result are queued at low priority, as far as the privacy settings allow.
+async function getLinkMarkers(urls, tab, queueMissing) {
+    const { separateSubdomainSites } = await chrome.storage.sync.get(['separateSubdomainSites']);
+    let pageSite = null;
+    try {
+        pageSite = getSiteKey(new URL(tab.url).hostname, separateSubdomainSites);
+    } catch (e) {
+        // Not a web page, so every link is outbound
+    }
+
+    const keys = {};
+    urls.forEach(url => {
+        const key = getBadgeKey(url, separateSubdomainSites);
+        if (key && getSiteKey(normalizeHostname(key), separateSubdomainSites) !== pageSite) keys[url] = key;
+    });
+
+    const markers = {};
+    for (const key of new Set(Object.values(keys))) {
+        const decision = await getPrivacyDecision(key, { incognito: tab.incognito, trigger: 'link' });
+        if (!decision.showCached) continue;
+
+        const cached = await getFromCache(key);
+        const badge = await getBadgeState(cached, key);
+        markers[key] = badge ? { text: badge.text, color: badge.color, summary: describeLinkMarker(key, badge) } : null;
+
+        if (queueMissing && !decision.reason && (!cached || cached.isStale)) await addToQueue(key, false, true);
+    }
+    return { keys, markers };
+}
+
+// Keeps the registered content script in step with annotateLinks. It's only
+// registered once the options page has been granted the host permission.
+async function syncLinkMarkerScript() {
+    const { annotateLinks } = await chrome.storage.sync.get(['annotateLinks']);
+    const matches = getLinkMarkerMatches(annotateLinks);
+    try {
+        const granted = matches.length > 0 &&
+            await chrome.permissions.contains({ origins: getLinkMarkerOrigins(annotateLinks) });
+        const [registered] = await chrome.scripting.getRegisteredContentScripts({ ids: [LINK_MARKER_SCRIPT_ID] });
+        if (registered && granted && registered.matches.join() === matches.join()) return;
+
+        if (registered) await chrome.scripting.unregisterContentScripts({ ids: [LINK_MARKER_SCRIPT_ID] });
+        if (!granted) return;
+        await chrome.scripting.registerContentScripts([{
+            id: LINK_MARKER_SCRIPT_ID,
+            matches,
+            js: ['annotate.js'],
+            css: ['annotate.css'],
+            runAt: 'document_idle'
+        }]);
+    } catch (e) {
+        console.error("Link Marker Registration Error", e);
+    }
+}
+
 // ---------------------------------------------------------
 // Helper: Source Logic
 // ---------------------------------------------------------
@@ -122,10 +428,92 @@ function getActiveSources(sourcesRaw, maxProviders) {
     return activeDomains;
 }
 
+// ---------------------------------------------------------
+// Source Subscription Logic
+// ---------------------------------------------------------
+
+// Subscriptions (sourceSubscriptions in storage.sync) are URLs of published
+// source lists, in any format parseSourceList accepts. Each refresh merges the
+// list into the user's sources (see mergeSourceList in source_lists.js).
+async function refreshSubscriptions() {
+    const { sourceSubscriptions } = await chrome.storage.sync.get(['sourceSubscriptions']);
+    if (!sourceSubscriptions || sourceSubscriptions.length === 0) return [];
+
+    const fetched = await Promise.all(sourceSubscriptions.map(async subscription => {
+        const updated = { ...subscription, lastChecked: Date.now() };
+        try {
+            const response = await fetch(subscription.url, {
+                cache: 'no-cache',
+                signal: AbortSignal.timeout(SUBSCRIPTION_TIMEOUT_MS)
+            });
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const data = await response.json();
+            const listed = parseSourceList(data);
+
+            if (data && typeof data.name === 'string') updated.name = data.name;
+            updated.count = listed.length;
+            updated.lastError = null;
+            return { subscription: updated, listed };
+        } catch (e) {
+            console.error("Subscription Error", subscription.url, e);
+            updated.lastError = e.message;
+            return { subscription: updated, listed: null };
+        }
+    }));
+
+    // Read sources only once every list is in, so visit counts recorded meanwhile aren't lost
+    const { sources } = await chrome.storage.sync.get(['sources']);
+    const { subscribedSources } = await chrome.storage.local.get(['subscribedSources']);
+    let merged = attachSubscriptions(migrateSources(sources), subscribedSources);
+    let changed = false;
+    fetched.forEach(({ subscription, listed }) => {
+        if (!listed) return; // Keep the previous entries until the list loads again
+        const result = mergeSourceList(merged, listed, subscription.url);
+        merged = result.sources;
+        changed = changed || result.added > 0 || result.removed > 0;
+    });
+
+    const subscriptions = fetched.map(f => f.subscription);
+    const detached = detachSubscriptions(merged);
+    const updates = { sourceSubscriptions: subscriptions, sources: detached.sources };
+    // New or dropped sources change what gets queried, so cached results are stale
+    if (changed) updates.lastSettingsChange = Date.now();
+    try {
+        await chrome.storage.sync.set(updates);
+    } catch (e) {
+        // Most likely the sync quota: keep the sources as they were and show why on the lists
+        console.error("Subscription Save Error", e);
+        subscriptions.forEach(subscription => { subscription.lastError = e.message; });
+        await chrome.storage.sync.set({ sourceSubscriptions: subscriptions });
+        throw e;
+    }
+    await chrome.storage.local.set({ subscribedSources: detached.subscribedSources });
+    return subscriptions;
+}
+
+async function ensureSubscriptionAlarm() {
+    const alarm = await chrome.alarms.get(SUBSCRIPTION_ALARM);
+    if (!alarm) {
+        chrome.alarms.create(SUBSCRIPTION_ALARM, {
+            delayInMinutes: SUBSCRIPTION_REFRESH_MINUTES,
+            periodInMinutes: SUBSCRIPTION_REFRESH_MINUTES
+        });
+    }
+}
+
 // ---------------------------------------------------------
 // Cache Logic
 // ---------------------------------------------------------
 
+// Cache entries (and queue items) are keyed by site key rather than the raw
+// hostname, so www.example.com and shop.example.com share one query.
+
+// Language tag summaries are written in: the summaryLanguage setting, or the
+// browser's UI language when it's unset
+function getSummaryLanguage(settings) {
+    return settings.summaryLanguage || chrome.i18n.getUILanguage();
+}
+
 async function getFromCache(hostname) {
     const key = `cache_${hostname}`;
     const data = await chrome.storage.local.get(key);
@@ -134,7 +522,18 @@ async function getFromCache(hostname) {
     if (!entry) return null;
 
     // Check settings version match
-    const { lastSettingsChange } = await chrome.storage.sync.get(['lastSettingsChange']);
+    const settings = await chrome.storage.sync.get(['lastSettingsChange', 'summaryLanguage']);
+    return checkCacheEntry(key, entry, settings.lastSettingsChange, getSummaryLanguage(settings));
+}
+
+// Summary languages match on the primary subtag, so "en-US" accepts "en"
+function isSameLanguage(a, b) {
+    return a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
+}
+
+// Returns the entry with isStale set (callers can decide to refresh), or null
+// if it has expired. Entries from before summaries had a language are English.
+function checkCacheEntry(key, entry, lastSettingsChange, language) {
     const globalSettingsTs = lastSettingsChange || 0;
 
     const age = Date.now() - entry.timestamp;
@@ -146,25 +545,86 @@ async function getFromCache(hostname) {
     // Mark stale if settings have changed since this entry was created
     // (Entry timestamp is creation time. If creation < lastSettingsChange, it's stale)
     const settingsStale = entry.timestamp < globalSettingsTs;
+    const languageStale = !isSameLanguage(entry.language || 'en', language);
 
-    // Return entry even if stale (callers can decide to refresh)
-    entry.isStale = (age > CACHE_STALE_MS) || settingsStale;
+    entry.isStale = (age > CACHE_STALE_MS) || settingsStale || languageStale;
     return entry;
 }
 
-async function saveToCache(hostname, reviews, isSource, groundingMetadata) {
+// Every unexpired entry, for the cache page (cache.html)
+async function getAllFromCache() {
+    const allData = await chrome.storage.local.get(null);
+    const settings = await chrome.storage.sync.get(['lastSettingsChange', 'summaryLanguage']);
+    const language = getSummaryLanguage(settings);
+
+    return Object.entries(allData)
+        .filter(([key, value]) => key.startsWith('cache_') && value && value.timestamp)
+        .map(([key, value]) => checkCacheEntry(key, value, settings.lastSettingsChange, language))
+        .filter(Boolean);
+}
+
+async function removeFromCache(hostname) {
+    await chrome.storage.local.remove(`cache_${hostname}`);
+    await updateBadgesForHostname(hostname, null);
+}
+
+// openWebReviews are reviews from sources outside the trusted list, kept apart
+// so they never mix with trusted ones (see useOpenWeb in performReputationQuery).
+// language is the one the summaries were asked for (see getSummaryLanguage).
+async function saveToCache(hostname, reviews, isSource, groundingMetadata, usage, openWebReviews, language) {
     const key = `cache_${hostname}`;
+    const flaggedReviews = applyReviewFlags(reviews, await reconcileReviewFlags(hostname, reviews || []));
     const entry = {
         hostname: hostname,
         timestamp: Date.now(),
-        reviews: reviews,
+        reviews: flaggedReviews,
+        openWebReviews: openWebReviews || [],
         isSource: isSource,
-        groundingMetadata: groundingMetadata
+        groundingMetadata: groundingMetadata,
+        usage: usage,
+        language: language,
+        ratingChange: await recordHistory(hostname, flaggedReviews)
     };
     await chrome.storage.local.set({ [key]: entry });
     return entry;
 }
 
+// ---------------------------------------------------------
+// History Logic
+// ---------------------------------------------------------
+
+// Past results are kept under history_<site key>, separately from the cache so
+// they outlive it. Oldest first, at most HISTORY_MAX_ENTRIES.
+async function getHistory(hostname) {
+    const key = `history_${hostname}`;
+    const data = await chrome.storage.local.get(key);
+    return data[key] || [];
+}
+
+// Appends a result and returns { from, to, since } if the rating moved by at
+// least the sharp change threshold since the previous result, otherwise null.
+async function recordHistory(hostname, reviews) {
+    const weighting = await getWeighting();
+    const rating = calculateRating(reviews, weighting);
+    const history = await getHistory(hostname);
+
+    const previous = [...history].reverse().find(h => h.rating !== null);
+    history.push({
+        timestamp: Date.now(),
+        rating: rating,
+        ratings: getRatedReviews(reviews, weighting).map(r => ({ source: r.source, rating: r.rating }))
+    });
+    await chrome.storage.local.set({ [`history_${hostname}`]: history.slice(-HISTORY_MAX_ENTRIES) });
+
+    const { sharpChangeThreshold } = await chrome.storage.sync.get(['sharpChangeThreshold']);
+    const threshold = sharpChangeThreshold !== undefined ? sharpChangeThreshold : DEFAULT_SHARP_CHANGE;
+    if (!previous || rating === null || Math.abs(rating - previous.rating) < threshold) return null;
+
+    console.log(`Sharp rating change for ${hostname}: ${previous.rating.toFixed(1)} -> ${rating.toFixed(1)}`);
+    return { from: previous.rating, to: rating, since: previous.timestamp };
+}
+
+// Review flags and verdicts live under their own keys, so they outlast the results
 async function pruneCache() {
     const allData = await chrome.storage.local.get(null);
     const now = Date.now();
@@ -175,20 +635,191 @@ async function pruneCache() {
             if (now - value.timestamp > CACHE_EXPIRE_MS) {
                 keysToRemove.push(key);
             }
+        } else if (key.startsWith('history_') && Array.isArray(value)) {
+            const last = value[value.length - 1];
+            if (!last || now - last.timestamp > HISTORY_EXPIRE_MS) {
+                keysToRemove.push(key);
+            }
         }
     }
 
     if (keysToRemove.length > 0) {
         await chrome.storage.local.remove(keysToRemove);
     }
+
+    await pruneUsageStats();
+}
+
+// ---------------------------------------------------------
+// Usage & Budget Logic
+// ---------------------------------------------------------
+
+// USD per million tokens, plus the per-query fee for search grounding.
+// Only an estimate: check the provider's pricing page for your plan.
+const MODEL_PRICING = {
+    'gemini-3-flash-preview': { input: 0.50, output: 3.00, searchQuery: 0.014 },
+    'gemini-3-pro-preview': { input: 2.00, output: 12.00, searchQuery: 0.014 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 }
+};
+const USAGE_RETENTION_MS = 400 * 24 * 60 * 60 * 1000; // Enough for a year of monthly totals
+
+// Local date, so "today" and "this month" match what the user sees in options
+function getDayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function normalizeUsage(backendName, result) {
+    const meta = result.usageMetadata || {};
+    const promptTokens = (meta.promptTokenCount || 0) + (meta.toolUsePromptTokenCount || 0);
+    // Gemini bills thinking tokens as output
+    const outputTokens = (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0);
+    const usage = {
+        backend: backendName,
+        model: result.model,
+        promptTokens,
+        outputTokens,
+        totalTokens: meta.totalTokenCount || (promptTokens + outputTokens),
+        searchQueries: result.groundingMetadata?.webSearchQueries?.length || 0
+    };
+    usage.cost = estimateCost(usage);
+    return usage;
+}
+
+// Returns null when we don't know the model's price
+function estimateCost(usage) {
+    if (usage.backend === 'local') return 0;
+    const pricing = MODEL_PRICING[usage.model];
+    if (!pricing) return null;
+    return (usage.promptTokens * pricing.input + usage.outputTokens * pricing.output) / 1e6 +
+        usage.searchQueries * (pricing.searchQuery || 0);
+}
+
+async function recordUsage(usage) {
+    const { usageStats } = await chrome.storage.local.get(['usageStats']);
+    const stats = usageStats || { days: {} };
+    const dayKey = getDayKey();
+    const day = stats.days[dayKey] || (stats.days[dayKey] = {});
+    const totals = day[usage.model] || (day[usage.model] = {
+        queries: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, searchQueries: 0, cost: 0, unpriced: 0
+    });
+
+    totals.queries++;
+    totals.promptTokens += usage.promptTokens;
+    totals.outputTokens += usage.outputTokens;
+    totals.totalTokens += usage.totalTokens;
+    totals.searchQueries += usage.searchQueries;
+    if (usage.cost === null) {
+        totals.unpriced++;
+    } else {
+        totals.cost += usage.cost;
+    }
+
+    await chrome.storage.local.set({ usageStats: stats });
+}
+
+async function pruneUsageStats() {
+    const { usageStats } = await chrome.storage.local.get(['usageStats']);
+    if (!usageStats) return;
+
+    const oldestKept = getDayKey(new Date(Date.now() - USAGE_RETENTION_MS));
+    let changed = false;
+    for (const dayKey of Object.keys(usageStats.days)) {
+        if (dayKey < oldestKept) {
+            delete usageStats.days[dayKey];
+            changed = true;
+        }
+    }
+    if (changed) await chrome.storage.local.set({ usageStats });
+}
+
+async function getMonthlySpend() {
+    const { usageStats } = await chrome.storage.local.get(['usageStats']);
+    const monthPrefix = getDayKey().slice(0, 8); // "YYYY-MM-"
+    let spent = 0;
+    for (const [dayKey, models] of Object.entries(usageStats?.days || {})) {
+        if (!dayKey.startsWith(monthPrefix)) continue;
+        for (const totals of Object.values(models)) spent += totals.cost;
+    }
+    return spent;
+}
+
+// Returns { budget, spent } if this month's budget is used up, otherwise null
+async function checkBudget() {
+    const { monthlyBudget } = await chrome.storage.sync.get(['monthlyBudget']);
+    if (!monthlyBudget) return null;
+
+    const spent = await getMonthlySpend();
+    if (spent < monthlyBudget) return null;
+
+    // Spend resets with the calendar month
+    const now = new Date();
+    chrome.alarms.create(BUDGET_ALARM, { when: new Date(now.getFullYear(), now.getMonth() + 1, 1).getTime() });
+    return { budget: monthlyBudget, spent };
 }
 
 // ---------------------------------------------------------
 // Queue & Processing Logic
 // ---------------------------------------------------------
 
-function addToQueue(hostname, forceRefresh = false) {
+async function loadQueueState() {
+    try {
+        const { [QUEUE_STATE_KEY]: state } = await chrome.storage.session.get(QUEUE_STATE_KEY);
+        if (state) {
+            queryQueue = state.queryQueue || [];
+            activeTasks = state.activeTasks || [];
+            lastError = state.lastError || null;
+            requestLog = state.requestLog || [];
+            budgetPause = state.budgetPause || null;
+        }
+    } catch (e) {
+        console.error("Queue Restore Error", e);
+    }
+}
+
+async function saveQueueState() {
+    await chrome.storage.session.set({
+        [QUEUE_STATE_KEY]: { queryQueue, activeTasks, lastError, requestLog, budgetPause }
+    });
+}
+
+function scheduleRetry(retryTime) {
+    // The alarm survives the worker being stopped. Chrome may round short alarms
+    // up to 30s, so also use a timer for the common case where we stay alive.
+    chrome.alarms.create(RETRY_ALARM, { when: retryTime });
+    setTimeout(processQueue, Math.max(0, retryTime - Date.now()));
+}
+
+// Sliding window limiter. Returns null if a request may start now (and records
+// it), otherwise the time at which the next slot frees up.
+function reserveRateLimitSlot(requestsPerMinute) {
+    const now = Date.now();
+    requestLog = requestLog.filter(t => now - t < RATE_WINDOW_MS);
+    if (requestLog.length >= requestsPerMinute) {
+        return requestLog[0] + RATE_WINDOW_MS;
+    }
+    requestLog.push(now);
+    return null;
+}
+
+// Low priority items (see getLinkMarkers) wait behind everything else and
+// are never moved forward by another low priority request.
+async function addToQueue(hostname, forceRefresh = false, lowPriority = false) {
+    await queueStateReady;
+
     const existingIndex = queryQueue.findIndex(item => item.hostname === hostname);
+    if (lowPriority) {
+        const queuedLow = queryQueue.filter(item => item.lowPriority).length;
+        if (existingIndex !== -1 || activeTasks.some(t => t.hostname === hostname) || queuedLow >= MAX_LOW_PRIORITY_QUEUED) return;
+
+        queryQueue.push({ hostname, lowPriority: true });
+        await saveQueueState();
+        processQueue();
+        broadcastStatus();
+        return;
+    }
 
     let existingItem = null;
 
@@ -199,8 +830,10 @@ function addToQueue(hostname, forceRefresh = false) {
     }
 
     // Check if it's currently being processed
-    if (currentTask && currentTask.hostname === hostname) {
-        if (forceRefresh) currentTask.forceRefresh = true;
+    const activeTask = activeTasks.find(t => t.hostname === hostname);
+    if (activeTask) {
+        if (forceRefresh) activeTask.forceRefresh = true;
+        await saveQueueState();
         return;
     }
 
@@ -209,138 +842,447 @@ function addToQueue(hostname, forceRefresh = false) {
 
     // Update/Merge properties
     if (forceRefresh) item.forceRefresh = true;
+    delete item.lowPriority;
     // Note: tabId is used for handleNavigation immediate feedback but not stored/needed for broadcast
 
     // Add to FRONT (LIFO / Stack behavior)
     queryQueue.unshift(item);
+    await saveQueueState();
 
-    if (!currentTask) processQueue();
+    processQueue();
     broadcastStatus(); // Notify popup
 }
 
 async function processQueue() {
-    if (!currentTask && queryQueue.length === 0) return;
+    await queueStateReady;
+    const { maxConcurrentQueries, requestsPerMinute } = await chrome.storage.sync.get(['maxConcurrentQueries', 'requestsPerMinute']);
+    const limits = {
+        concurrency: maxConcurrentQueries || DEFAULT_MAX_CONCURRENT,
+        requestsPerMinute: requestsPerMinute || DEFAULT_REQUESTS_PER_MINUTE
+    };
+
+    // Leave everything queued until the budget is raised or the month rolls over
+    budgetPause = await checkBudget();
+    if (budgetPause) {
+        await saveQueueState();
+        broadcastStatus();
+        return;
+    }
+
+    // Everything from here to the runTask calls is synchronous, so concurrent
+    // processQueue calls can't hand the same task out twice.
+    while (activeTasks.length < limits.concurrency && queryQueue.length > 0) {
+        activeTasks.push(queryQueue.shift());
+    }
+
+    const now = Date.now();
+    let nextWakeTime = null;
+    for (const task of activeTasks) {
+        if (runningHosts.has(task.hostname)) continue;
 
-    if (!currentTask) {
-        currentTask = queryQueue.shift();
+        if (task.nextRetryTime > now) {
+            nextWakeTime = Math.min(nextWakeTime || Infinity, task.nextRetryTime);
+            continue;
+        }
+        runTask(task, limits);
     }
+
+    if (nextWakeTime) scheduleRetry(nextWakeTime);
+    await saveQueueState();
     broadcastStatus();
+}
+
+function finishTask(task) {
+    activeTasks = activeTasks.filter(t => t !== task);
+}
+
+async function runTask(task, limits) {
+    runningHosts.add(task.hostname);
 
     try {
-        if (!currentTask.forceRefresh) {
-            const cached = await getFromCache(currentTask.hostname);
-            if (cached && !cached.isStale) {
-                await updateBadgesForHostname(currentTask.hostname, cached.reviews);
-                currentTask = null;
-                processQueue();
-                return;
-            }
+        const cached = await getFromCache(task.hostname);
+        if (!task.forceRefresh && cached && !cached.isStale) {
+            await updateBadgesForHostname(task.hostname, cached);
+            finishTask(task);
+            return;
+        }
+
+        const rateLimitedUntil = reserveRateLimitSlot(limits.requestsPerMinute);
+        if (rateLimitedUntil) {
+            // Keep the slot and wait, this isn't a failed attempt
+            task.nextRetryTime = rateLimitedUntil;
+            task.waitingForRateLimit = true;
+            return;
         }
 
-        await performGeminiQuery(currentTask.hostname);
+        task.waitingForRateLimit = false;
+        task.nextRetryTime = null;
+        task.startTime = Date.now();
+        await saveQueueState();
+        broadcastStatus();
+
+        await performReputationQuery(task.hostname);
 
-        const freshData = await getFromCache(currentTask.hostname);
+        const freshData = await getFromCache(task.hostname);
         if (freshData) {
-            await updateBadgesForHostname(currentTask.hostname, freshData.reviews);
+            await updateBadgesForHostname(task.hostname, freshData);
+            getTabIdsShowing(task.hostname)
+                .then(tabIds => showWarningBanners(tabIds, task.hostname, freshData))
+                .catch(e => console.error("Warning Banner Error", e));
+            await notifyBadSite(task.hostname, freshData, cached);
             lastError = null;
-            currentTask = null;
-            processQueue();
-            broadcastStatus();
         }
+        finishTask(task);
 
     } catch (error) {
         console.error("Queue Processing Error:", error);
 
         if (error.status === 503) {
-            currentTask.retryAttempts = (currentTask.retryAttempts || 0);
+            task.retryAttempts = (task.retryAttempts || 0);
 
             // Exponential backoff: 0s, 5s, 10s, 20s... max 5m
-            const delay = currentTask.retryAttempts === 0 ? 0 : Math.min(5000 * Math.pow(2, currentTask.retryAttempts - 1), 300000);
+            const delay = task.retryAttempts === 0 ? 0 : Math.min(5000 * Math.pow(2, task.retryAttempts - 1), 300000);
 
-            console.log(`Gemini 503. Retrying in ${delay}ms (Attempt ${currentTask.retryAttempts + 1})`);
+            console.log(`Backend 503 for ${task.hostname}. Retrying in ${delay}ms (Attempt ${task.retryAttempts + 1})`);
 
-            currentTask.nextRetryTime = Date.now() + delay;
-            currentTask.retryAttempts++;
-
-            broadcastStatus();
-            setTimeout(processQueue, delay);
-            return;
+            task.nextRetryTime = Date.now() + delay;
+            task.retryAttempts++;
+        } else {
+            lastError = error.message;
+            finishTask(task);
         }
-
-        lastError = error.message;
-        currentTask = null;
-        processQueue();
-        broadcastStatus();
+    } finally {
+        runningHosts.delete(task.hostname);
+        processQueue(); // Refill the slot, or schedule the pending retry
     }
 }
 
 // ---------------------------------------------------------
-// Gemini API Logic
+// Reputation Backends
 // ---------------------------------------------------------
 
-function sanitizeSource(source) {
-    if (!source) return null;
-    let s = source.toLowerCase();
-    s = s.replace(/^https?:\/\//, '');
-    s = s.replace(/^www\./, '');
-    s = s.replace(/\/$/, '');
-    return s;
-}
+// Every backend receives the same prompt and (Gemini-style) response schema and
+// returns { model, text, groundingMetadata, usageMetadata } using Gemini's field
+// names, so the post-processing in performReputationQuery is provider agnostic.
+const BACKENDS = {
+    gemini: {
+        defaultModel: 'gemini-3-flash-preview',
+        isConfigured: (settings) => !!settings.geminiApiKey,
+        query: queryGemini
+    },
+    openai: {
+        defaultEndpoint: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        isConfigured: (settings) => !!settings.backendApiKey,
+        query: queryOpenAICompatible
+    },
+    local: {
+        // Ollama's native API. No key needed, but the server must allow the extension origin.
+        defaultEndpoint: 'http://localhost:11434',
+        defaultModel: 'llama3.1',
+        isConfigured: () => true,
+        query: queryLocalModel
+    }
+};
 
-function isMatchingSource(source, trustedSources) {
-    if (!source) return false;
-    const s = sanitizeSource(source);
-
-    return trustedSources.some(trusted => {
-        const t = sanitizeSource(trusted);
-        if (s === t) return true;
-        // Check if s is a subdomain of t (e.g. en.wikipedia.org vs wikipedia.org)
-        if (s.endsWith('.' + t)) return true;
-        // Check if t is a subdomain of s (e.g. wikipedia.org vs en.wikipedia.org)
-        if (t.endsWith('.' + s)) return true;
-        return false;
-    });
+function getBackendName(settings) {
+    return BACKENDS[settings.backend] ? settings.backend : 'gemini';
 }
 
-async function performGeminiQuery(hostname) {
-    const { geminiApiKey, sources, preferredModel, maxBullets, maxWords, maxProviders, autoAddSources, lastSettingsChange } =
-        await chrome.storage.sync.get(['geminiApiKey', 'sources', 'preferredModel', 'maxBullets', 'maxWords', 'maxProviders', 'autoAddSources', 'lastSettingsChange']);
+function getBackendEndpoint(settings, backendName) {
+    const endpoint = settings.backendEndpoint || BACKENDS[backendName].defaultEndpoint;
+    return endpoint.replace(/\/+$/, '');
+}
 
-    const limitBullets = maxBullets || 3;
-    const limitWords = maxWords || 8;
-    const limitProviders = maxProviders || 20;
-    const shouldAutoAdd = (autoAddSources !== false); // Default true
+// Gemini schemas use upper-case type names, JSON Schema wants lower-case.
+function toJsonSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toJsonSchema);
+    if (!schema || typeof schema !== 'object') return schema;
 
-    if (!geminiApiKey) {
-        return;
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+        converted[key] = (key === 'type' && typeof value === 'string') ? value.toLowerCase() : toJsonSchema(value);
     }
+    return converted;
+}
 
-    const sanitizedTarget = sanitizeSource(hostname);
-    const cleanSourceDomains = sources ? getActiveSources(sources, limitProviders)
-        .map(sanitizeSource)
-        .filter(s => s && s.length > 0 && s !== sanitizedTarget) : [];
-
-    let prompt;
-    if (cleanSourceDomains.length > 0) {
-        prompt = `
-        You are a site reputation analyzer.
-        Target Hostname: "${hostname}"
-        Trusted Sources: ${cleanSourceDomains.join(', ')}
-
-        Goal: Find valid reputation signals strictly from the trusted sources.
+async function readBackendResponse(response, backendName) {
+    const result = await response.json();
+    console.log(`${backendName} API Response:`, result);
 
-        Step 1: Execute ONE Google Search query: "reviews of ${hostname} from ${cleanSourceDomains.join(', ')}
-        Step 2: For each result, determine if it is a review page for the SPECIFIC target hostname from one of the trusted sources.
-        Step 3: If so, extract the rating (or estimate sentiment 0-5) and summary of reviews. Otherwise ignore it.
-        Step 4: Determine if "${hostname}" itself is a "Reputation Source" (a platform hosting reviews or discussions of a wide variety of websites).
+    if (!response.ok) {
+        console.error(`API Error (${response.status} ${response.statusText})`);
+        const err = new Error(`API Error: ${response.status} ${response.statusText}`);
+        err.status = response.status;
+        throw err;
+    }
+    return result;
+}
 
-        Rules:
-        - Do NOT consider sources other than those provided.
-        - Include the URL of review page summarized using the search grounding tool. Use an empty string if unsure.
-        - Return at most ${limitBullets} bullet points per summary (${limitWords} words max).
-        - Set "isSource" to true if "${hostname}" is a generalized review site, forum or other broad source of information about a variety of specific websites.
-        `;
-    } else {
+async function queryGemini({ prompt, responseSchema }, settings) {
+    const model = settings.preferredModel || BACKENDS.gemini.defaultModel;
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${settings.geminiApiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: {
+                responseMimeType: "application/json",
+                responseSchema: responseSchema
+            },
+            tools: [{ google_search: {} }]
+        })
+    });
+
+    const result = await readBackendResponse(response, 'Gemini');
+    const candidate = result.candidates?.[0];
+    return {
+        model,
+        text: candidate?.content?.parts?.[0]?.text,
+        groundingMetadata: candidate?.groundingMetadata,
+        usageMetadata: result.usageMetadata
+    };
+}
+
+async function queryOpenAICompatible({ prompt, responseSchema }, settings) {
+    const model = settings.backendModel || BACKENDS.openai.defaultModel;
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.backendApiKey) {
+        headers['Authorization'] = `Bearer ${settings.backendApiKey}`;
+    }
+
+    const response = await fetch(`${getBackendEndpoint(settings, 'openai')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'site_reputation', schema: toJsonSchema(responseSchema) }
+            }
+        })
+    });
+
+    const result = await readBackendResponse(response, 'OpenAI');
+    const message = result.choices?.[0]?.message;
+    const usage = result.usage;
+    return {
+        model,
+        text: message?.content,
+        groundingMetadata: citationsToGroundingMetadata(message?.annotations),
+        usageMetadata: usage && {
+            promptTokenCount: usage.prompt_tokens,
+            candidatesTokenCount: usage.completion_tokens,
+            totalTokenCount: usage.total_tokens
+        }
+    };
+}
+
+// Search-enabled OpenAI models return url_citation annotations; map them onto
+// Gemini's groundingChunks so the popup can list them as sources.
+function citationsToGroundingMetadata(annotations) {
+    const chunks = (annotations || [])
+        .filter(a => a.type === 'url_citation' && a.url_citation?.url)
+        .map(a => ({ web: { uri: a.url_citation.url, title: a.url_citation.title || a.url_citation.url } }));
+    return chunks.length > 0 ? { groundingChunks: chunks } : undefined;
+}
+
+async function queryLocalModel({ prompt, responseSchema }, settings) {
+    const model = settings.backendModel || BACKENDS.local.defaultModel;
+    const response = await fetch(`${getBackendEndpoint(settings, 'local')}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            format: toJsonSchema(responseSchema),
+            stream: false
+        })
+    });
+
+    const result = await readBackendResponse(response, 'Local model');
+    return {
+        model,
+        text: result.message?.content,
+        groundingMetadata: undefined,
+        usageMetadata: {
+            promptTokenCount: result.prompt_eval_count || 0,
+            candidatesTokenCount: result.eval_count || 0,
+            totalTokenCount: (result.prompt_eval_count || 0) + (result.eval_count || 0)
+        }
+    };
+}
+
+// ---------------------------------------------------------
+// Helper: Grounding Verification
+// ---------------------------------------------------------
+
+// Gemini reports search results as redirect links, with the result's domain as the title
+const GROUNDING_REDIRECT_HOST = 'vertexaisearch.cloud.google.com';
+
+function normalizeUrlForComparison(url) {
+    try {
+        const u = new URL(url);
+        return `${u.hostname.replace(/^www\./, '')}${u.pathname.replace(/\/$/, '')}${u.search}`;
+    } catch (e) {
+        return null;
+    }
+}
+
+function getGroundingChunkDomain(web) {
+    if (web.domain) return web.domain;
+    try {
+        const host = new URL(web.uri).hostname;
+        return host === GROUNDING_REDIRECT_HOST ? web.title : host;
+    } catch (e) {
+        return web.title;
+    }
+}
+
+function isGroundingRedirect(web) {
+    try {
+        return new URL(web.uri).hostname === GROUNDING_REDIRECT_HOST;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Classifies a review URL the model produced against the search results it was given:
+// - 'grounded': the exact page was a search result
+// - 'same-domain': a search result came from the same site, but not (as far as we
+//   can tell) this page
+// - 'ungrounded': nothing backs it up, so it's likely hallucinated
+// Gemini's redirect links don't say which page they lead to, so on that backend
+// only the site can be checked. Only backends that report the result pages
+// themselves (OpenAI's url_citation annotations) can confirm the exact page.
+function verifyReviewUrl(url, groundingMetadata, separateSubdomainSites) {
+    const target = url && normalizeUrlForComparison(url);
+    if (!target) return 'ungrounded';
+
+    const webChunks = (groundingMetadata?.groundingChunks || []).map(c => c.web).filter(w => w && w.uri);
+    if (webChunks.some(w => !isGroundingRedirect(w) && normalizeUrlForComparison(w.uri) === target)) {
+        return 'grounded';
+    }
+    if (webChunks.some(w => isSameSite(url, getGroundingChunkDomain(w), separateSubdomainSites))) {
+        return 'same-domain';
+    }
+    return 'ungrounded';
+}
+
+// ---------------------------------------------------------
+// Reputation Query Logic
+// ---------------------------------------------------------
+
+// Direct adapter results (see adapters.js) replace the LLM's review from the same
+// source. Adapters without a rating (Wikipedia) keep the LLM's, so the source
+// still counts towards the score.
+function mergeAdapterReviews(reviews, adapterReviews, separateSubdomainSites) {
+    const isReplaced = review => adapterReviews.some(a => isSameSite(review.source, a.source, separateSubdomainSites));
+    const merged = reviews.filter(review => !isReplaced(review));
+    return merged.concat(adapterReviews.map(adapterReview => {
+        if (typeof adapterReview.rating === 'number') return adapterReview;
+        const rated = reviews.find(r => typeof r.rating === 'number' &&
+            isSameSite(r.source, adapterReview.source, separateSubdomainSites));
+        return rated ? { ...adapterReview, rating: rated.rating } : adapterReview;
+    }));
+}
+
+function isMatchingSource(source, trustedSources, separateSubdomainSites) {
+    if (!source) return false;
+
+    // Same registrable domain, e.g. en.wikipedia.org vs wikipedia.org,
+    // but not alice.github.io vs bob.github.io
+    return trustedSources.some(trusted => isSameSite(source, trusted, separateSubdomainSites));
+}
+
+async function performReputationQuery(hostname) {
+    const settings = await chrome.storage.sync.get(['backend', 'geminiApiKey', 'preferredModel', 'backendEndpoint', 'backendApiKey', 'backendModel', 'sources', 'maxBullets', 'maxWords', 'maxProviders', 'autoAddSources', 'lastSettingsChange', 'separateSubdomainSites', 'useOpenWeb', 'summaryLanguage']);
+    const { sources, maxBullets, maxWords, maxProviders, autoAddSources, separateSubdomainSites } = settings;
+    const useOpenWeb = settings.useOpenWeb === true; // Off by default
+    const language = getSummaryLanguage(settings);
+    const languageName = new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+
+    const limitBullets = maxBullets || 3;
+    const limitWords = maxWords || 8;
+    const limitProviders = maxProviders || 20;
+    const shouldAutoAdd = (autoAddSources !== false); // Default true
+
+    const backendName = getBackendName(settings);
+    const backend = BACKENDS[backendName];
+    if (!backend.isConfigured(settings)) {
+        return;
+    }
+
+    // hostname may be a subject key (see subjects.js), e.g. a YouTube channel, in
+    // which case the platform itself is a fine source (Reddit discussing a subreddit)
+    const subject = parseSubjectKey(hostname);
+    const isSelf = source => !subject && isSameSite(source, hostname, separateSubdomainSites);
+    const targetLine = subject
+        ? `Target: the ${subject.kind} "${subject.name}" on ${subject.site} (${subject.url})`
+        : `Target Hostname: "${hostname}"`;
+    const targetName = subject ? `the ${subject.kind} "${subject.name}"` : `"${hostname}"`;
+    const searchName = subject ? `${subject.kind} ${subject.name}` : hostname;
+    const targetKind = subject ? subject.kind : 'hostname';
+
+    // Sites, so "www.bbb.org" and "bbb.org/us" don't become separate sources
+    const cleanSourceDomains = sources ? [...new Set(getActiveSources(sources, limitProviders)
+        .map(s => getSiteKey(s, separateSubdomainSites))
+        .filter(s => s && !isSelf(s)))] : [];
+
+    // Subjects can't be reputation sources themselves, so without sources there's nothing to ask
+    if (subject && cleanSourceDomains.length === 0 && !useOpenWeb) {
+        await saveToCache(hostname, [], false, null, null, [], language);
+        return;
+    }
+
+    let prompt;
+    if (cleanSourceDomains.length > 0 && !useOpenWeb) {
+        prompt = `
+        You are a site reputation analyzer.
+        ${targetLine}
+        Trusted Sources: ${cleanSourceDomains.join(', ')}
+
+        Goal: Find valid reputation signals strictly from the trusted sources.
+
+        Step 1: Execute ONE Google Search query: "reviews of ${searchName} from ${cleanSourceDomains.join(', ')}
+        Step 2: For each result, determine if it is a review page for the SPECIFIC target ${targetKind} from one of the trusted sources.
+        Step 3: If so, extract the rating (or estimate sentiment 0-5) and summary of reviews. Otherwise ignore it.
+        Step 4: Determine if ${targetName} itself is a "Reputation Source" (a platform hosting reviews or discussions of a wide variety of websites).
+
+        Rules:
+        - Do NOT consider sources other than those provided.
+        - Include the URL of review page summarized using the search grounding tool. Use an empty string if unsure.
+        - Return at most ${limitBullets} bullet points per summary (${limitWords} words max).
+        - Write the summary bullet points in ${languageName}.
+        - Set "isSource" to true if ${targetName} is a generalized review site, forum or other broad source of information about a variety of specific websites.
+        `;
+    } else if (useOpenWeb) {
+        // Open-web mode: other sources are welcome, and are split out from trusted ones below
+        const trustedSearch = cleanSourceDomains.length > 0
+            ? `Execute ONE Google Search query: "reviews of ${searchName} from ${cleanSourceDomains.join(', ')}", then ONE more`
+            : 'Execute ONE Google Search query';
+        prompt = `
+        You are a site reputation analyzer.
+        ${targetLine}
+        Trusted Sources: ${cleanSourceDomains.length > 0 ? cleanSourceDomains.join(', ') : '(none yet)'}
+
+        Goal: Find valid reputation signals from the trusted sources, and from other relevant, independent sources.
+
+        Step 1: ${trustedSearch}: "reviews of ${searchName}"
+        Step 2: For each result, determine if it is a review page or discussion about the SPECIFIC target ${targetKind} from an independent source.
+        Step 3: If so, extract the rating (or estimate sentiment 0-5) and summary of reviews. Otherwise ignore it.
+        Step 4: Determine if ${targetName} itself is a "Reputation Source" (a platform hosting reviews or discussions of a wide variety of websites).
+
+        Rules:
+        - Include every trusted source with a relevant result, plus other sources only where they add meaningful reputation signal.
+        - Never use ${targetName} itself (or its own marketing or testimonials) as a source.
+        - Include the URL of review page summarized using the search grounding tool. Use an empty string if unsure.
+        - Return at most ${limitBullets} bullet points per summary (${limitWords} words max).
+        - Write the summary bullet points in ${languageName}.
+        - Set "isSource" to true if ${targetName} is a generalized review site, forum or other broad source of information about a variety of specific websites.
+        `;
+    } else {
         prompt = `
         You are a site reputation analyzer.
         Target Hostname: "${hostname}"
@@ -352,7 +1294,7 @@ async function performGeminiQuery(hostname) {
         - Set "isSource" to true if "${hostname}" is a generalized review site, forum or other source of information about a variety of websites and businesses.
         `;
     }
-    const model = preferredModel || 'gemini-3-flash-preview';
+    prompt += getReviewFeedbackPrompt(await getReviewFlags(hostname));
 
     const responseSchema = {
         "type": "OBJECT",
@@ -380,60 +1322,59 @@ async function performGeminiQuery(hostname) {
         "required": ["reviews"]
     };
 
-    console.log("Prompting Gemini:", prompt);
-    const startTime = Date.now();
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${geminiApiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            contents: [{ parts: [{ text: prompt }] }],
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: responseSchema
-            },
-            tools: [{ google_search: {} }]
-        })
-    });
+    // Adapters run alongside the LLM query and never throw. They look sites up by
+    // domain, so have nothing to say about subjects.
+    const adapterReviewsPromise = subject ? Promise.resolve([]) : runSourceAdapters(hostname, cleanSourceDomains);
 
+    console.log(`Prompting ${backendName}:`, prompt);
+    const startTime = Date.now();
+    const result = await backend.query({ prompt, responseSchema }, settings);
     const duration = (Date.now() - startTime) / 1000;
+    console.log(`${backendName} (${result.model}) answered in ${duration}s`);
 
-    const result = await response.json();
-    console.log(`Gemini API Response in ${duration}s:`, result);
-
-    if (!response.ok) {
-        console.error(`API Error (${response.status} ${response.statusText})`);
-        const err = new Error(`API Error: ${response.status} ${response.statusText}`);
-        err.status = response.status;
-        throw err;
-    }
+    // Record before parsing, we've been billed either way
+    const usage = normalizeUsage(backendName, result);
+    await recordUsage(usage);
 
-    const text = result.candidates?.[0]?.content?.parts?.[0]?.text || "{}";
+    const text = result.text || "{}";
     const jsonResult = JSON.parse(text);
 
-    // Post-process reviews to add matchingSource flag
+    // Post-process reviews to add matchingSource and verification flags
     if (jsonResult.reviews && Array.isArray(jsonResult.reviews)) {
         jsonResult.reviews.forEach(review => {
-            review.matchingSource = isMatchingSource(review.source, cleanSourceDomains);
+            review.matchingSource = isMatchingSource(review.source, cleanSourceDomains, separateSubdomainSites);
+            review.verification = verifyReviewUrl(review.url, result.groundingMetadata, separateSubdomainSites);
         });
     }
 
-    // Auto-add logic
+    jsonResult.reviews = mergeAdapterReviews(jsonResult.reviews || [], await adapterReviewsPromise, separateSubdomainSites);
+
+    // In open-web mode untrusted reviews are invited rather than stray, so keep them apart
+    let openWebReviews = [];
+    if (useOpenWeb) {
+        openWebReviews = jsonResult.reviews.filter(r => !r.matchingSource && !isSelf(r.source));
+        jsonResult.reviews = jsonResult.reviews.filter(r => r.matchingSource);
+    }
+
+    // Auto-add logic (sources are whole sites, never subjects)
+    if (subject) jsonResult.isSource = false;
     if (jsonResult.isSource && shouldAutoAdd) {
         const migrated = migrateSources(sources);
         // Check if exists
-        const exists = migrated.some(s => s.domain === hostname || hostname.endsWith('.' + s.domain));
+        const exists = migrated.some(s => isSameSite(s.domain, hostname, separateSubdomainSites));
         if (!exists) {
             console.log(`Auto-adding new reputation source: ${hostname}`);
             migrated.push({
                 domain: hostname,
                 state: 'auto',
-                visits: 0
+                visits: 0,
+                weight: 1
             });
 
             // Check if this new source is "active" (i.e. not buried by maxProviders)
             // We use the updated 'migrated' list to check.
-            const activeDomains = getActiveSources(migrated, limitProviders).map(sanitizeSource);
-            const isActive = activeDomains.includes(sanitizeSource(hostname));
+            const isActive = getActiveSources(migrated, limitProviders)
+                .some(s => isSameSite(s, hostname, separateSubdomainSites));
 
             // Update storage - strict mode, async
             // Update timestamp only if this source actually changes the active query set
@@ -449,10 +1390,452 @@ async function performGeminiQuery(hostname) {
             // Note: We don't need to re-query immediately, 
         }
     }
-    const metadata = result.candidates?.[0]?.groundingMetadata;
-    await saveToCache(hostname, jsonResult.reviews || [], !!jsonResult.isSource, metadata);
+    await saveToCache(hostname, jsonResult.reviews || [], !!jsonResult.isSource, result.groundingMetadata, usage, openWebReviews, language);
+}
+
+// "Trust this source" from the popup: adds an open-web source to the trusted
+// list and promotes its review in this site's cached result.
+async function trustOpenWebSource(hostname, source) {
+    const { sources, separateSubdomainSites } = await chrome.storage.sync.get(['sources', 'separateSubdomainSites']);
+    const domain = getSiteKey(source, separateSubdomainSites);
+    if (!domain) return;
+
+    const migrated = migrateSources(sources);
+    const existing = migrated.find(s => isSameSite(s.domain, domain, separateSubdomainSites));
+    if (existing) {
+        existing.state = 'on'; // Listed but inactive (off, or auto beyond maxProviders)
+    } else {
+        migrated.push({ domain, state: 'on', visits: 0, weight: 1 });
+    }
+    await chrome.storage.sync.set({ sources: migrated, lastSettingsChange: Date.now() });
+
+    const entry = await getFromCache(hostname);
+    if (!entry) return;
+    const promoted = (entry.openWebReviews || []).filter(r => isSameSite(r.source, domain, separateSubdomainSites));
+    entry.openWebReviews = (entry.openWebReviews || []).filter(r => !promoted.includes(r));
+    entry.reviews = entry.reviews.concat(promoted.map(r => ({ ...r, matchingSource: true })));
+    delete entry.isStale;
+    await chrome.storage.local.set({ [`cache_${hostname}`]: entry });
+    await updateBadgesForHostname(hostname, entry);
+}
+
+// ---------------------------------------------------------
+// Review Feedback Logic
+// ---------------------------------------------------------
+
+// storage.local: { site key: { source: { reason, url, rating, summary, timestamp } } },
+// kept apart from the cache so feedback outlives refreshes of the flagged review
+const REVIEW_FLAGS_KEY = 'reviewFlags';
+const REVIEW_FLAG_EXPIRE_MS = CACHE_EXPIRE_MS; // For sources that stop reviewing the site at all
+
+// How each flag reason (see REVIEW_FLAG_MESSAGES in i18n.js) reads in the prompt
+const REVIEW_FLAG_PROMPTS = {
+    'wrong': 'was inaccurate',
+    'outdated': 'was out of date',
+    'other-site': 'was about a different site',
+    'broken-link': 'linked to a page that does not exist'
+};
+
+async function getReviewFlags(hostname) {
+    const { [REVIEW_FLAGS_KEY]: flags } = await chrome.storage.local.get([REVIEW_FLAGS_KEY]);
+    return (flags && flags[hostname]) || {};
+}
+
+async function setReviewFlags(hostname, flags) {
+    const { [REVIEW_FLAGS_KEY]: allFlags } = await chrome.storage.local.get([REVIEW_FLAGS_KEY]);
+    const updated = { ...allFlags, [hostname]: flags };
+    if (Object.keys(flags).length === 0) delete updated[hostname];
+    await chrome.storage.local.set({ [REVIEW_FLAGS_KEY]: updated });
+}
+
+// A flag sticks to the review it was made on: the same link, rating and first
+// bullet. Adapters and the LLM often reuse a source's link, so that alone
+// doesn't tell a corrected review apart.
+function isFlaggedReview(review, flag) {
+    return (review.url || '') === flag.url && (review.rating ?? null) === flag.rating &&
+        ((review.summary || [])[0] || '') === flag.summary;
+}
+
+// The flags still in force for a fresh result. A source that now says
+// something different has been corrected, so it counts again and drops out of
+// the feedback in the prompt.
+async function reconcileReviewFlags(hostname, reviews) {
+    const flags = await getReviewFlags(hostname);
+    const current = {};
+    Object.entries(flags).forEach(([source, flag]) => {
+        const review = reviews.find(r => r.source === source);
+        if (review ? isFlaggedReview(review, flag) : Date.now() - flag.timestamp < REVIEW_FLAG_EXPIRE_MS) {
+            current[source] = flag;
+        }
+    });
+    if (Object.keys(current).length < Object.keys(flags).length) await setReviewFlags(hostname, current);
+    return current;
+}
+
+// Sets review.flag to the reason for flagged reviews, which getRatedReviews then
+// leaves out of the rating
+function applyReviewFlags(reviews, flags) {
+    return (reviews || []).map(review => {
+        const flag = flags[review.source];
+        const flagged = { ...review };
+        delete flagged.flag;
+        if (flag && isFlaggedReview(review, flag)) flagged.flag = flag.reason;
+        return flagged;
+    });
+}
+
+// Feedback lines for the next query about this site, or '' without any
+function getReviewFeedbackPrompt(flags) {
+    const lines = Object.entries(flags).map(([source, flag]) =>
+        `- The review from ${source}${flag.url ? ` (${flag.url})` : ''} ${REVIEW_FLAG_PROMPTS[flag.reason]}.`);
+    if (lines.length === 0) return '';
+    return `
+        The user reported problems with earlier results for this target. Do not repeat these mistakes:
+        ${lines.join('\n        ')}
+        `;
+}
+
+// Feedback from the review table; a null reason clears the source's flag
+async function flagReview(hostname, source, reason) {
+    if (reason !== null && !REVIEW_FLAG_PROMPTS[reason]) return;
+    const entry = await getFromCache(hostname);
+    const review = entry && entry.reviews.find(r => r.source === source);
+
+    const flags = await getReviewFlags(hostname);
+    if (reason && review) {
+        flags[source] = {
+            reason,
+            url: review.url || '',
+            rating: review.rating ?? null,
+            summary: (review.summary || [])[0] || '',
+            timestamp: Date.now()
+        };
+    } else {
+        delete flags[source];
+    }
+    await setReviewFlags(hostname, flags);
+
+    if (!entry) return;
+    entry.reviews = applyReviewFlags(entry.reviews, flags);
+    delete entry.isStale;
+    await chrome.storage.local.set({ [`cache_${hostname}`]: entry });
+    await updateBadgesForHostname(hostname, entry);
+}
+
+// ---------------------------------------------------------
+// Personal Verdict Logic
+// ---------------------------------------------------------
+
+// storage.local: { site or subject key: { rating (1-5, or null), note, timestamp } }
+const VERDICTS_KEY = 'verdicts';
+
+async function getVerdict(hostname) {
+    const { [VERDICTS_KEY]: verdicts } = await chrome.storage.local.get([VERDICTS_KEY]);
+    return (verdicts && verdicts[hostname]) || null;
+}
+
+// "My verdict" in the popup. A rating replaces the sources' in the badge, while
+// a note on its own leaves the badge alone. Clearing both removes the verdict.
+async function setVerdict(hostname, rating, note) {
+    if (!hostname) return null;
+    const validRating = typeof rating === 'number' && rating >= 1 && rating <= 5 ? rating : null;
+    const validNote = typeof note === 'string' ? note.trim() : '';
+
+    const { [VERDICTS_KEY]: verdicts } = await chrome.storage.local.get([VERDICTS_KEY]);
+    const updated = { ...verdicts };
+    const verdict = validRating !== null || validNote ? { rating: validRating, note: validNote, timestamp: Date.now() } : null;
+    if (verdict) {
+        updated[hostname] = verdict;
+    } else {
+        delete updated[hostname];
+    }
+    await chrome.storage.local.set({ [VERDICTS_KEY]: updated });
+
+    await updateBadgesForHostname(hostname, await getFromCache(hostname));
+    return verdict;
 }
 
+// ---------------------------------------------------------
+// Privacy Logic
+// ---------------------------------------------------------
+
+const PRIVACY_SETTINGS = ['denyPatterns', 'allowPatterns', 'skipPrivateHosts', 'queryMode', 'incognitoPolicy'];
+const DEFAULT_INCOGNITO_POLICY = 'cached'; // 'skip' | 'cached' | 'query'
+
+// Special-use names (RFC 6761 and friends) and common intranet suffixes
+const PRIVATE_TLDS = ['localhost', 'local', 'internal', 'intranet', 'lan', 'home', 'corp', 'home.arpa', 'test', 'invalid', 'example', 'onion'];
+
+// Private, loopback, link-local, shared, documentation, multicast and reserved ranges
+const RESERVED_IPV4_RANGES = [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+function ipv4ToNumber(ip) {
+    return ip.split('.').reduce((acc, octet) => acc * 256 + parseInt(octet, 10), 0);
+}
+
+function isReservedIPv4(ip) {
+    const value = ipv4ToNumber(ip);
+    return RESERVED_IPV4_RANGES.some(([base, bits]) => {
+        const size = 2 ** (32 - bits);
+        return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+    });
+}
+
+// Expects the compressed lower-case form URL produces, e.g. "::1" or "fe80::1"
+function isReservedIPv6(ip) {
+    if (ip === '::' || ip === '::1') return true;
+    if (/^(f[cd]|fe[89ab]|ff)/.test(ip) || ip.startsWith('2001:db8:')) return true;
+
+    // IPv4-mapped, e.g. ::ffff:c0a8:101 for 192.168.1.1
+    const mapped = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+        const high = parseInt(mapped[1], 16);
+        const low = parseInt(mapped[2], 16);
+        return isReservedIPv4([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return false;
+}
+
+// Hosts that only make sense inside the user's own network
+function isPrivateHost(hostname) {
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname)) return isReservedIPv4(hostname);
+    if (isIpAddress(hostname)) return isReservedIPv6(hostname.replace(/^\[|\]$/g, ''));
+    if (!hostname.includes('.')) return true; // Single-label intranet names
+    return PRIVATE_TLDS.some(tld => hostname === tld || hostname.endsWith(`.${tld}`));
+}
+
+// "example.com" matches the host and its subdomains. "*" matches any run of
+// characters, e.g. "*.corp.example.com" or "*bank*".
+function matchesHostPattern(hostname, pattern) {
+    const p = normalizeHostname(pattern);
+    if (!p) return false;
+    if (!p.includes('*')) return hostname === p || hostname.endsWith(`.${p}`);
+
+    const regex = new RegExp(`^${p.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return regex.test(hostname);
+}
+
+// Why a host must never be sent to the backend, or null. Allow patterns win
+// over both deny patterns and the built-in private host rule.
+function getHostBlockReason(hostname, privacy) {
+    if ((privacy.allowPatterns || []).some(p => matchesHostPattern(hostname, p))) return null;
+    if ((privacy.denyPatterns || []).some(p => matchesHostPattern(hostname, p))) return chrome.i18n.getMessage('reasonDenyList');
+    if (privacy.skipPrivateHosts !== false && isPrivateHost(hostname)) return chrome.i18n.getMessage('reasonPrivateHost');
+    return null;
+}
+
+// Decides what SiteVouch may do for a site, given where the request came from:
+// - tabHostname: the host actually visited (hostname is its site key), if known
+// - incognito: whether that tab is in an incognito window
+// - trigger: 'navigation', 'popup' (opened or refreshed there), 'refresh' (cache
+//   page), 'lookup' (context menu or lookup page) or 'link' (a link marker, see
+//   getLinkMarkers)
+// Returns { showCached, reason } where a non-null reason means no query.
+async function getPrivacyDecision(hostname, { tabHostname, incognito, trigger }) {
+    const privacy = await chrome.storage.sync.get(PRIVACY_SETTINGS);
+
+    // Subject keys (see subjects.js) are checked by their site's hostname
+    const keyHostname = normalizeHostname(hostname);
+    const blockReason = getHostBlockReason(tabHostname || keyHostname, privacy) ||
+        (tabHostname ? getHostBlockReason(keyHostname, privacy) : null);
+    if (blockReason) return { showCached: false, reason: blockReason };
+
+    if (incognito) {
+        const policy = privacy.incognitoPolicy || DEFAULT_INCOGNITO_POLICY;
+        if (policy === 'skip') return { showCached: false, reason: chrome.i18n.getMessage('reasonIncognito') };
+        if (policy === 'cached') return { showCached: true, reason: chrome.i18n.getMessage('reasonIncognito') };
+    }
+
+    if (privacy.queryMode === 'popup' && (trigger === 'navigation' || trigger === 'link')) {
+        return { showCached: true, reason: chrome.i18n.getMessage('reasonPopupOnly') };
+    }
+    return { showCached: true, reason: null };
+}
+
+// Queues a query only if the privacy settings allow it. Callers that already
+// have a decision (see handleNavigation) check decision.reason themselves.
+async function requestQuery(hostname, context, forceRefresh = false) {
+    const decision = await getPrivacyDecision(hostname, context);
+    if (decision.reason) {
+        console.log(`Not querying ${hostname}: ${decision.reason}`);
+        return decision;
+    }
+    await addToQueue(hostname, forceRefresh);
+    return decision;
+}
+
+// Pages without a tab of their own (cache and lookup pages) pass incognito along
+// with their requests instead
+async function getRequestContext(request, trigger) {
+    if (request.tabId !== undefined) return getTabContext(request.tabId, 'popup');
+    return { trigger, incognito: request.incognito === true };
+}
+
+async function getTabContext(tabId, trigger) {
+    const tab = tabId !== undefined ? await chrome.tabs.get(tabId).catch(() => null) : null;
+    if (!tab || !tab.url) return { trigger };
+    try {
+        return { tabHostname: new URL(tab.url).hostname, incognito: tab.incognito, trigger };
+    } catch (e) {
+        return { trigger };
+    }
+}
+
+// ---------------------------------------------------------
+// Side Panel Logic
+// ---------------------------------------------------------
+
+const RECENT_HOSTS_KEY = 'recentHosts'; // storage.session: [{ hostname, timestamp }], newest first
+const MAX_RECENT_HOSTS = 30;
+
+// Keys (as shown in the badge) of this browsing session's visits, for the side
+// panel. Session storage, so the list is gone when the browser closes.
+async function recordRecentHost(hostname) {
+    const { [RECENT_HOSTS_KEY]: recent } = await chrome.storage.session.get([RECENT_HOSTS_KEY]);
+    const updated = [{ hostname, timestamp: Date.now() }]
+        .concat((recent || []).filter(r => r.hostname !== hostname))
+        .slice(0, MAX_RECENT_HOSTS);
+    await chrome.storage.session.set({ [RECENT_HOSTS_KEY]: updated });
+}
+
+// One row per open tab's key or recently visited key, each with its tabs, the
+// time of the last visit, its cache entry and badge. Incognito tabs and sites
+// the privacy settings hide never show up, since the panel isn't incognito.
+async function getSessionOverview() {
+    const { separateSubdomainSites } = await chrome.storage.sync.get(['separateSubdomainSites']);
+    const rows = new Map();
+    const getRow = (hostname) => {
+        if (!rows.has(hostname)) rows.set(hostname, { hostname, tabs: [], visited: null });
+        return rows.get(hostname);
+    };
+
+    const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+    tabs.filter(tab => !tab.incognito).forEach(tab => {
+        const key = getBadgeKey(tab.url, separateSubdomainSites);
+        if (key) getRow(key).tabs.push({ id: tab.id, windowId: tab.windowId, title: tab.title, hostname: new URL(tab.url).hostname });
+    });
+
+    const { [RECENT_HOSTS_KEY]: recent } = await chrome.storage.session.get([RECENT_HOSTS_KEY]);
+    (recent || []).forEach(r => {
+        getRow(r.hostname).visited = r.timestamp;
+    });
+
+    const overview = [];
+    for (const row of rows.values()) {
+        const tabHostname = row.tabs.length > 0 ? row.tabs[0].hostname : undefined;
+        const decision = await getPrivacyDecision(row.hostname, { tabHostname, trigger: 'navigation' });
+        if (!decision.showCached) continue;
+
+        const entry = await getFromCache(row.hostname);
+        const badge = await getBadgeState(entry, row.hostname);
+        overview.push({ ...row, entry, badge: badge && { text: badge.text, color: badge.color, rating: badge.rating, verdict: !!badge.verdict } });
+    }
+    return overview;
+}
+
+// ---------------------------------------------------------
+// Lookup Logic (context menu and omnibox)
+// ---------------------------------------------------------
+
+const CONTEXT_MENU_LINK = 'check-link';
+const CONTEXT_MENU_SELECTION = 'check-selection';
+const MAX_OMNIBOX_SUGGESTIONS = 6;
+
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: CONTEXT_MENU_LINK, title: chrome.i18n.getMessage('contextMenuLink'), contexts: ['link'] });
+        chrome.contextMenus.create({ id: CONTEXT_MENU_SELECTION, title: chrome.i18n.getMessage('contextMenuSelection'), contexts: ['selection'] });
+    });
+}
+
+// The first URL or hostname in some selected text, e.g. "see example.com/deals"
+function getUrlFromText(text) {
+    const match = (text || '').match(/(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z][a-z0-9-]+(?:[/?#][^\s"'<>]*)?/i);
+    if (!match) return null;
+    try {
+        return new URL(/^https?:\/\//i.test(match[0]) ? match[0] : `https://${match[0]}`).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Checks a site without visiting it: queues it (if the privacy settings allow)
+// and shows the result in lookup.html, which updates as the query progresses.
+// tab is the tab the request came from and disposition is an omnibox one.
+async function lookupUrl(url, tab, disposition = 'newForegroundTab') {
+    if (!url || !/^https?:/.test(url)) {
+        console.log("Nothing to check in", url);
+        return;
+    }
+
+    const { separateSubdomainSites } = await chrome.storage.sync.get(['separateSubdomainSites']);
+    const key = getBadgeKey(url, separateSubdomainSites);
+    if (!key) return;
+
+    const incognito = !!(tab && tab.incognito);
+    await requestQuery(key, { incognito, trigger: 'lookup' });
+
+    // Extension pages can't open in incognito windows, so those go to a normal one
+    const viewUrl = chrome.runtime.getURL(`lookup.html?host=${encodeURIComponent(key)}${incognito ? '&incognito=1' : ''}`);
+    if (disposition === 'currentTab' && tab && !incognito) {
+        await chrome.tabs.update(tab.id, { url: viewUrl });
+        return;
+    }
+    const placement = tab && !incognito ? { index: tab.index + 1, openerTabId: tab.id } : {};
+    await chrome.tabs.create({ url: viewUrl, active: disposition !== 'newBackgroundTab', ...placement });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (info.menuItemId === CONTEXT_MENU_LINK) lookupUrl(info.linkUrl, tab);
+    if (info.menuItemId === CONTEXT_MENU_SELECTION) lookupUrl(getUrlFromText(info.selectionText), tab);
+});
+chrome.runtime.onInstalled.addListener(createContextMenus);
+
+function escapeOmniboxText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Cached sites containing the typed text, sites starting with it first, then the most recently checked
+async function getOmniboxSuggestions(text) {
+    const query = normalizeHostname(text);
+    if (!query) return [];
+
+    const entries = (await getAllFromCache())
+        .filter(entry => entry.hostname.includes(query))
+        .sort((a, b) => (b.hostname.startsWith(query) - a.hostname.startsWith(query)) || b.timestamp - a.timestamp)
+        .slice(0, MAX_OMNIBOX_SUGGESTIONS);
+
+    const suggestions = [];
+    for (const entry of entries) {
+        const badge = await getBadgeState(entry);
+        const rating = badge ? `${badge.text} ${badge.rating.toFixed(1)} / 5` : chrome.i18n.getMessage('rowNoRatings');
+        const stale = entry.isStale ? chrome.i18n.getMessage('omniboxStale') : '';
+        suggestions.push({
+            content: entry.hostname,
+            description: `<match>${escapeOmniboxText(entry.hostname)}</match> <dim>${escapeOmniboxText(rating + stale)}</dim>`
+        });
+    }
+    return suggestions;
+}
+
+chrome.omnibox.setDefaultSuggestion({ description: chrome.i18n.getMessage('omniboxDefault', '<match>%s</match>') });
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+    getOmniboxSuggestions(text)
+        .then(suggest)
+        .catch(e => console.error("Omnibox Error", e));
+});
+
+// The omnibox doesn't say which window it was used in, but it's the focused one
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    lookupUrl(getUrlFromText(text), tab, disposition);
+});
+
 // ---------------------------------------------------------
 // Navigation & Listeners
 // ---------------------------------------------------------
@@ -461,18 +1844,11 @@ async function checkAndIncrementVisits(url) {
     if (!url) return;
     try {
         const hostname = new URL(url).hostname;
-        const { sources } = await chrome.storage.sync.get(['sources']);
+        const { sources, separateSubdomainSites } = await chrome.storage.sync.get(['sources', 'separateSubdomainSites']);
         const migrated = migrateSources(sources); // Ensure object format
 
-        let changed = false;
-        // Check if hostname matches any source domain
-        // (Loose match? or strict? Assumed strict domain match or strict hostname)
-        // User said "domain". If source is "trustpilot.com", visiting "www.trustpilot.com" should count.
-        // let's do includes check or endswith
-
-        const matchIndex = migrated.findIndex(s =>
-            hostname === s.domain || hostname.endsWith('.' + s.domain) || s.domain.endsWith('.' + hostname)
-        );
+        // If source is "trustpilot.com", visiting "www.trustpilot.com" should count.
+        const matchIndex = migrated.findIndex(s => isSameSite(hostname, s.domain, separateSubdomainSites));
 
         if (matchIndex !== -1) {
             migrated[matchIndex].visits = (migrated[matchIndex].visits || 0) + 1;
@@ -483,48 +1859,210 @@ async function checkAndIncrementVisits(url) {
     }
 }
 
-async function handleNavigation(tabId, url) {
+// historyUpdate is a single-page app changing its URL in place, which only
+// needs handling when it changes what the badge is about (e.g. another channel)
+async function handleNavigation(tabId, url, incognito, historyUpdate = false) {
     if (!url || !url.startsWith('http')) return;
 
-    // Check if this is a visit to a provider
-    await checkAndIncrementVisits(url);
-
-    // Always clear badge first
-    await chrome.action.setBadgeText({ text: "", tabId }).catch(() => { });
-
     try {
-        const hostname = new URL(url).hostname;
-        const cached = await getFromCache(hostname);
-
-        if (cached) {
-            await updateBadgeForRating(tabId, cached.reviews);
-            if (!cached.isStale) return;
+        const { separateSubdomainSites } = await chrome.storage.sync.get(['separateSubdomainSites']);
+        const badgeKey = getBadgeKey(url, separateSubdomainSites);
+        if (historyUpdate && badgeKey === await getNavigatedKey(tabId)) return;
+        await setNavigatedKey(tabId, badgeKey);
+        if (historyUpdate) await removeWarningBanner(tabId);
+
+        // Clear the badge before anything that may leave it off
+        await chrome.action.setBadgeText({ text: "", tabId }).catch(() => { });
+
+        const tabHostname = new URL(url).hostname;
+        const hostname = getSiteKey(tabHostname, separateSubdomainSites);
+        const decision = await getPrivacyDecision(hostname, { tabHostname, incognito, trigger: 'navigation' });
+        if (!decision.showCached) return;
+
+        // Check if this is a visit to a provider (not in incognito, which shouldn't leave a trace in sync).
+        // A route change within the page isn't another visit.
+        if (!incognito && !historyUpdate) await checkAndIncrementVisits(url);
+
+        // On aggregator platforms the badge shows the channel / community / repo
+        // (see subjects.js), while the site result stays available in the popup
+        const subject = getSubject(url);
+        const keys = subject ? [hostname, subject.key] : [hostname];
+        if (!incognito) await recordRecentHost(keys[keys.length - 1]);
+
+        for (const key of keys) {
+            const cached = await getFromCache(key);
+            // Uncached keys can still have the user's own verdict
+            if (key === keys[keys.length - 1]) {
+                await updateBadgeForRating(tabId, cached, key);
+                showWarningBanners([tabId], key, cached).catch(e => console.error("Warning Banner Error", e));
+            }
+            // Queued last goes first (see addToQueue), so the subject is looked up first
+            if ((!cached || cached.isStale) && !decision.reason) await addToQueue(key, false);
         }
 
-        addToQueue(hostname, false);
-
     } catch (e) {
         console.error("Nav Error", e);
     }
 }
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (changeInfo.status === 'complete' && tab.url) {
-        handleNavigation(tabId, tab.url);
+// Page loads are tracked with webNavigation (main frame only) rather than
+// tabs.onUpdated, which also reports "complete" for error pages.
+const FAILED_TABS_KEY = 'failedTabs';
+const NAVIGATED_TABS_KEY = 'navigatedTabs'; // storage.session: { tab id: badge key of the page last handled }
+const NAVIGATION_SETTLE_MS = 1000; // Lets client-side redirects land before we look up a host
+const ACTIVATION_DEBOUNCE_MS = 500; // Quick tab cycling only checks the tab that's left active
+const settleTimers = new Map(); // tabId -> timeout
+let activationTimer = null;
+
+// Tabs whose last main frame load failed, so switching back to an error page
+// doesn't query its host. In session storage to survive the worker stopping.
+async function setTabLoadFailed(tabId, failed) {
+    const { [FAILED_TABS_KEY]: failedTabs = {} } = await chrome.storage.session.get(FAILED_TABS_KEY);
+    if (failed) {
+        failedTabs[tabId] = true;
+    } else if (failedTabs[tabId]) {
+        delete failedTabs[tabId];
+    } else {
+        return;
     }
-});
+    await chrome.storage.session.set({ [FAILED_TABS_KEY]: failedTabs });
+}
+
+async function isTabLoadFailed(tabId) {
+    const { [FAILED_TABS_KEY]: failedTabs = {} } = await chrome.storage.session.get(FAILED_TABS_KEY);
+    return !!failedTabs[tabId];
+}
+
+async function getNavigatedKey(tabId) {
+    const { [NAVIGATED_TABS_KEY]: navigatedTabs = {} } = await chrome.storage.session.get(NAVIGATED_TABS_KEY);
+    return navigatedTabs[tabId] || null;
+}
+
+// Pass a null key to forget the tab
+async function setNavigatedKey(tabId, key) {
+    const { [NAVIGATED_TABS_KEY]: navigatedTabs = {} } = await chrome.storage.session.get(NAVIGATED_TABS_KEY);
+    if ((navigatedTabs[tabId] || null) === key) return;
+    if (key) {
+        navigatedTabs[tabId] = key;
+    } else {
+        delete navigatedTabs[tabId];
+    }
+    await chrome.storage.session.set({ [NAVIGATED_TABS_KEY]: navigatedTabs });
+}
 
-chrome.tabs.onActivated.addListener(async (activeInfo) => {
+// Only handle the host the tab ended up on: if it moved on (e.g. a client-side
+// redirect) the next onCompleted covers the new host instead.
+async function handleSettledNavigation(tabId, url, historyUpdate = false) {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab || !tab.url) return;
     try {
-        const tab = await chrome.tabs.get(activeInfo.tabId);
-        if (tab.url) {
-            handleNavigation(activeInfo.tabId, tab.url);
-        }
-    } catch (e) { }
+        if (new URL(tab.url).hostname !== new URL(url).hostname) return;
+    } catch (e) {
+        return;
+    }
+    handleNavigation(tabId, tab.url, tab.incognito, historyUpdate);
+}
+
+chrome.webNavigation.onCommitted.addListener((details) => {
+    if (details.frameId !== 0) return;
+    clearTimeout(settleTimers.get(details.tabId));
+    settleTimers.delete(details.tabId);
+    setTabLoadFailed(details.tabId, false);
+    setNavigatedKey(details.tabId, null);
+    clearBannerTab(details.tabId);
+    // Don't leave the previous site's badge up while the new one loads
+    chrome.action.setBadgeText({ text: "", tabId: details.tabId }).catch(() => { });
+});
+
+chrome.webNavigation.onCompleted.addListener((details) => {
+    if (details.frameId !== 0) return;
+    clearTimeout(settleTimers.get(details.tabId));
+    settleTimers.set(details.tabId, setTimeout(() => {
+        settleTimers.delete(details.tabId);
+        handleSettledNavigation(details.tabId, details.url);
+    }, NAVIGATION_SETTLE_MS));
+});
+
+// Single-page apps like YouTube switch channels without loading a new page.
+// History updates stay on the same host, so only platforms with subjects (see
+// subjects.js) can change what the badge shows that way.
+const SUBJECT_URL_FILTER = {
+    url: Object.keys(SUBJECT_RULES).flatMap(site => [{ hostEquals: site }, { hostSuffix: `.${site}` }])
+};
+
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+    if (details.frameId !== 0) return;
+    clearTimeout(settleTimers.get(details.tabId));
+    settleTimers.set(details.tabId, setTimeout(() => {
+        settleTimers.delete(details.tabId);
+        handleSettledNavigation(details.tabId, details.url, true);
+    }, NAVIGATION_SETTLE_MS));
+}, SUBJECT_URL_FILTER);
+
+chrome.webNavigation.onErrorOccurred.addListener((details) => {
+    // ERR_ABORTED is a stopped or superseded load, which leaves the previous page in place
+    if (details.frameId !== 0 || details.error === 'net::ERR_ABORTED') return;
+    clearTimeout(settleTimers.get(details.tabId));
+    settleTimers.delete(details.tabId);
+    setTabLoadFailed(details.tabId, true);
+    chrome.action.setBadgeText({ text: "", tabId: details.tabId }).catch(() => { });
+});
+
+chrome.tabs.onActivated.addListener((activeInfo) => {
+    clearTimeout(activationTimer);
+    activationTimer = setTimeout(async () => {
+        activationTimer = null;
+        try {
+            const tab = await chrome.tabs.get(activeInfo.tabId);
+            if (tab.url && tab.status === 'complete' && !(await isTabLoadFailed(activeInfo.tabId))) {
+                handleNavigation(activeInfo.tabId, tab.url, tab.incognito);
+            }
+        } catch (e) { }
+    }, ACTIVATION_DEBOUNCE_MS);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    clearTimeout(settleTimers.get(tabId));
+    settleTimers.delete(tabId);
+    setTabLoadFailed(tabId, false);
+    setNavigatedKey(tabId, null);
+    clearBannerTab(tabId);
 });
 
 chrome.runtime.onStartup.addListener(pruneCache);
 
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === RETRY_ALARM || alarm.name === BUDGET_ALARM) processQueue();
+    if (alarm.name === SUBSCRIPTION_ALARM) {
+        refreshSubscriptions().catch(e => console.error("Subscription Refresh Error", e));
+    }
+});
+
+function getSourceWeights(sources) {
+    return JSON.stringify(migrateSources(sources).map(s => [s.domain, s.weight]));
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+
+    // A raised (or removed) budget may un-pause the queue
+    if (changes.monthlyBudget) processQueue();
+    if (changes.annotateLinks) syncLinkMarkerScript();
+
+    // Sources also change on every visit count, so only react to weight changes
+    const weightsChanged = changes.sources &&
+        getSourceWeights(changes.sources.oldValue) !== getSourceWeights(changes.sources.newValue);
+    if (weightsChanged || changes.positiveThreshold || changes.negativeThreshold || changes.contestedSpread ||
+        changes.countOpenWebInBadge) {
+        refreshAllBadges();
+    }
+});
+
+// Resume whatever was pending when the previous worker instance was stopped
+processQueue();
+ensureSubscriptionAlarm();
+syncLinkMarkerScript();
+
 // ---------------------------------------------------------
 // Message Handling (Popup Communication)
 // ---------------------------------------------------------
@@ -533,8 +2071,9 @@ function broadcastStatus() {
     chrome.runtime.sendMessage({
         type: 'STATUS_UPDATE',
         queue: queryQueue,
-        currentTask: currentTask,
-        lastError: lastError
+        activeTasks: activeTasks,
+        lastError: lastError,
+        budgetPause: budgetPause
     }, () => {
         if (chrome.runtime.lastError) {
             // Safe to ignore
@@ -545,15 +2084,29 @@ function broadcastStatus() {
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.type === 'GET_STATUS') {
         (async () => {
+            await queueStateReady;
             const qStatus = {
                 queue: queryQueue,
-                currentTask: currentTask,
-                lastError: lastError
+                activeTasks: activeTasks,
+                lastError: lastError,
+                budgetPause: budgetPause
             };
 
             if (request.hostname) {
-                const cached = await getFromCache(request.hostname);
+                const context = await getRequestContext(request, 'lookup');
+                const decision = await getPrivacyDecision(request.hostname, context);
+                qStatus.queryBlock = decision.reason;
+
+                const cached = decision.showCached ? await getFromCache(request.hostname) : null;
                 qStatus.currentResult = cached;
+                qStatus.history = decision.showCached ? await getHistory(request.hostname) : [];
+                qStatus.verdict = await getVerdict(request.hostname);
+
+                // Opening the popup is what triggers queries in popup-only mode
+                const pending = queryQueue.concat(activeTasks).some(t => t.hostname === request.hostname);
+                if (request.popupOpened && !decision.reason && (!cached || cached.isStale) && !pending) {
+                    await addToQueue(request.hostname, false);
+                }
             }
             sendResponse(qStatus);
         })();
@@ -562,7 +2115,67 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     if (request.type === 'REFRESH') {
         const hostname = request.hostname;
-        addToQueue(hostname, true);
-        sendResponse({ joined: true });
+        // From the popup (with its tab), or the cache or lookup page (without)
+        getRequestContext(request, 'refresh')
+            .then(context => requestQuery(hostname, context, true))
+            .then(decision => sendResponse({ joined: !decision.reason, reason: decision.reason }))
+            .catch(e => sendResponse({ error: e.message }));
+        return true;
+    }
+
+    if (request.type === 'TRUST_SOURCE') {
+        trustOpenWebSource(request.hostname, request.source).then(() => sendResponse({ trusted: true }));
+        return true;
+    }
+
+    if (request.type === 'FLAG_REVIEW') {
+        flagReview(request.hostname, request.source, request.reason || null).then(() => sendResponse({ flagged: true }));
+        return true;
+    }
+
+    if (request.type === 'SET_VERDICT') {
+        setVerdict(request.hostname, request.rating, request.note)
+            .then(verdict => sendResponse({ verdict }));
+        return true;
+    }
+
+    if (request.type === 'DISMISS_WARNING') {
+        dismissWarning(request.hostname).then(() => sendResponse({ dismissed: true }));
+        return true;
+    }
+
+    // "Details" in the warning banner
+    if (request.type === 'OPEN_POPUP') {
+        chrome.action.openPopup({ windowId: sender.tab && sender.tab.windowId })
+            .catch(e => console.error("Open Popup Error", e));
+        return;
+    }
+
+    if (request.type === 'GET_LINK_MARKERS') {
+        if (!sender.tab) return;
+        getLinkMarkers(request.urls || [], sender.tab, request.queue === true).then(sendResponse);
+        return true;
+    }
+
+    if (request.type === 'GET_SESSION_OVERVIEW') {
+        getSessionOverview().then(rows => sendResponse({ rows }));
+        return true;
+    }
+
+    if (request.type === 'GET_CACHE_ENTRIES') {
+        getAllFromCache().then(entries => sendResponse({ entries }));
+        return true;
+    }
+
+    if (request.type === 'DELETE_CACHE_ENTRY') {
+        removeFromCache(request.hostname).then(() => sendResponse({ deleted: true }));
+        return true;
+    }
+
+    if (request.type === 'REFRESH_SUBSCRIPTIONS') {
+        refreshSubscriptions()
+            .then(subscriptions => sendResponse({ subscriptions }))
+            .catch(e => sendResponse({ error: e.message }));
+        return true;
     }
 });